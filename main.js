@@ -1,13 +1,48 @@
 // --- Global Variables ---
 let scene, camera, renderer, controls;
 let graphData = { nodes: [], edges: [] };
-let nodeMeshes = [];
-let edgeMeshes = [];
+let nodeInstances = null; // InstancedMesh drawing every node (instance i is graph.nodes[i])
+let edgeSegments = null; // LineSegments drawing every edge in one buffer (curved edges take several segments)
 let raycaster, mouse;
-let highlightedElements = { nodes: [], edges: [] }; // To store highlighted objects
-let activeHighlightTimeouts = []; // Stores IDs of active animation timeouts
+let highlightedElements = { nodes: new Set(), edges: new Set() }; // To store highlighted objects
+let activeHighlightTimeouts = new Set(); // Stores IDs of active animation timeouts
 let adjacencyList = new Map(); // Store adjacency list for reuse
 let activeLightningBolts = []; // Store active lightning bolt groups
+let importedFile = null; // Last file loaded for the 'custom' topology: { name, text }
+let importedGraph = null; // Last graph successfully parsed from importedFile
+let currentTopology = { type: null, params: {}, use3DLayout: false, edited: false }; // What graphData was generated from
+let currentMetrics = null; // Last result of calculateGraphMetrics for graphData
+let selectedSourceNodeId = null; // Node whose farthest paths are highlighted (part of the URL state)
+let isRestoringState = false; // True while the URL hash is being applied, so it isn't written back
+let urlUpdateTimeout = null; // Debounces URL updates while the camera moves
+let failedNodes = new Set(); // Node ids disabled in the failure simulation
+let failedEdges = new Set(); // Edge keys ("min-max") disabled in the failure simulation
+let pathQuerySourceId = null; // Source picked in the shortest-path query mode (waiting for a destination)
+let trafficResult = null; // Last traffic analysis result shown as the link-load heatmap
+let trafficAnalysisTimeout = null; // Pending slice of a running traffic analysis
+let packetSimulation = null; // Running createPacketSimulation instance, stepped from animate()
+let lastSimulationStepTime = 0;
+let latencyPlotTimeout = null; // Pending slice of a running latency-vs-load plot
+let packetMeshes = new Map(); // Packet id -> sphere currently drawn for it
+let packetMeshPool = []; // Spheres of delivered packets, reused for new ones
+let resilienceHistory = []; // Giant-component stats after each failure (index 0 = intact graph)
+let comparisonEntries = []; // Snapshots added for side-by-side comparison (own scene, camera and controls)
+let comparisonMode = false; // True while the split-viewport comparison view replaces the main view
+let sweepResult = null; // Last parameter sweep: { type, parameter, fixed, points }
+let sweepTimeout = null; // Pending step of a running sweep (one graph per timeout keeps the UI responsive)
+let metricsRunner = null; // createMetricsRunner() computing the metrics shown in the panel (set up in init)
+let sweepMetricsRunner = null; // Separate runner, so a sweep and the current graph don't cancel each other
+let metricsWorkerURL = null; // Blob URL of the metrics worker script, built on first use
+let forceLayout = null; // Running createForceLayout instance, stepped from animate()
+let hypercubeRotation = null; // createHypercubeRotation instance of the drawn hypercube (kept while paused)
+let isHypercubeRotating = false; // True while hypercubeRotation is turned from animate()
+let lastRotationFrameTime = 0;
+let nodeDrag = null; // Node being dragged: { nodeId, plane (through the node, facing the camera), offset }
+let nodeDragMoved = false; // The last drag moved its node, so the click ending it is no selection
+let manualPositions = new Map(); // Node id -> position dragged by hand, kept over the layout until it changes
+let editUndoStack = []; // Graph edits made in the edit mode (latest last), see applyGraphEdit
+let editRedoStack = []; // Undone edits, until a new edit is made
+let editSelectedNodeId = null; // Node selected in the edit mode (to delete, or as the first end of a new link)
 
 // Post-processing variables
 let composer, bloomPass;
@@ -21,6 +56,53 @@ const diameterSpan = document.getElementById('diameter');
 const nodeCountSpan = document.getElementById('nodeCount');
 const edgeCountSpan = document.getElementById('edgeCount');
 const avgPathLengthSpan = document.getElementById('avgPathLength'); // Add reference to new span
+const errorMessageDiv = document.getElementById('errorMessage');
+const radiusSpan = document.getElementById('radius');
+const degreeStatsSpan = document.getElementById('degreeStats');
+const bisectionWidthSpan = document.getElementById('bisectionWidth');
+const maxClosenessSpan = document.getElementById('maxCloseness');
+const maxBetweennessSpan = document.getElementById('maxBetweenness');
+const clickModeSelect = document.getElementById('clickMode');
+const showCutElementsCheckbox = document.getElementById('showCutElements');
+const pathQueryInfoDiv = document.getElementById('pathQueryInfo');
+const routingAlgorithmSelect = document.getElementById('routingAlgorithm');
+const trafficPatternSelect = document.getElementById('trafficPattern');
+const trafficSummaryDiv = document.getElementById('trafficSummary');
+const maxLinkLoadSpan = document.getElementById('maxLinkLoad');
+const saturationThroughputSpan = document.getElementById('saturationThroughput');
+const heatmapLegendDiv = document.getElementById('heatmapLegend');
+const heatmapMaxSpan = document.getElementById('heatmapMax');
+const simulationToggleButton = document.getElementById('simulationToggle');
+const simulationStatsDiv = document.getElementById('simulationStats');
+const latencySummaryDiv = document.getElementById('latencySummary');
+const componentCountSpan = document.getElementById('componentCount');
+const connectivitySpan = document.getElementById('connectivity');
+const cutVertexCountSpan = document.getElementById('cutVertexCount');
+const bridgeCountSpan = document.getElementById('bridgeCount');
+const failureSummaryDiv = document.getElementById('failureSummary');
+const metricsProgressDiv = document.getElementById('metricsProgress');
+const metricsProgressBar = document.getElementById('metricsProgressBar');
+const comparisonViewCheckbox = document.getElementById('comparisonView');
+const comparisonSummaryDiv = document.getElementById('comparisonSummary');
+const comparisonPanel = document.getElementById('comparisonPanel');
+const comparisonLabelsDiv = document.getElementById('comparisonLabels');
+const sweepParameterSelect = document.getElementById('sweepParameter');
+const sweepPanel = document.getElementById('sweepPanel');
+const sweepSummaryDiv = document.getElementById('sweepSummary');
+const forceLayoutToggleButton = document.getElementById('forceLayoutToggle');
+const layoutSelect = document.getElementById('layoutAlgorithm');
+const layout3DCheckbox = document.getElementById('layout3D');
+const layoutStatusDiv = document.getElementById('layoutStatus');
+const hypercubeOptionsDiv = document.getElementById('hypercubeOptions');
+const hypercubeProjectionSelect = document.getElementById('hypercubeProjection');
+const hypercubeColorBitSelect = document.getElementById('hypercubeColorBit');
+const rotationPlanesInput = document.getElementById('rotationPlanes');
+const rotationSpeedInput = document.getElementById('rotationSpeed');
+const hypercubeRotationToggleButton = document.getElementById('hypercubeRotationToggle');
+const snapToGridCheckbox = document.getElementById('snapToGrid');
+const editorOptionsDiv = document.getElementById('editorOptions');
+const undoEditButton = document.getElementById('undoEdit');
+const redoEditButton = document.getElementById('redoEdit');
 
 // --- Constants ---
 const NODE_RADIUS = 0.8;
@@ -39,6 +121,30 @@ const NODE_MATERIAL = new THREE.MeshPhysicalMaterial({
 const EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: EDGE_COLOR });
 const WRAP_EDGE_COLOR = 0xffcc00; // Brighter Orange for wrap edges
 const WRAP_EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: WRAP_EDGE_COLOR });
+const GLOBAL_EDGE_COLOR = 0x44ddaa; // Teal for dragonfly global (inter-group) links
+const GLOBAL_EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: GLOBAL_EDGE_COLOR });
+const ADDED_EDGE_COLOR = 0xff77ff; // Magenta for links added in the graph editor (e.g. express links)
+const ADDED_EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: ADDED_EDGE_COLOR });
+
+// What is actually rendered: all nodes are instances of one mesh and all edges one set of line
+// segments, so the materials above only supply each element's color and, for nodes, its glow
+// (white is tinted per instance, and the emissive is scaled by the instanceEmissive attribute)
+const NODE_INSTANCE_MATERIAL = new THREE.MeshPhysicalMaterial({
+    color: 0xffffff,
+    metalness: 0.6,
+    roughness: 0.3,
+    clearcoat: 0.6,
+    clearcoatRoughness: 0.1,
+    emissive: 0xffffff,
+    emissiveIntensity: 1
+});
+NODE_INSTANCE_MATERIAL.onBeforeCompile = shader => {
+    shader.vertexShader = 'attribute vec3 instanceEmissive;\nvarying vec3 vInstanceEmissive;\n' +
+        shader.vertexShader.replace('#include <begin_vertex>', '#include <begin_vertex>\n\tvInstanceEmissive = instanceEmissive;');
+    shader.fragmentShader = 'varying vec3 vInstanceEmissive;\n' +
+        shader.fragmentShader.replace('vec3 totalEmissiveRadiance = emissive;', 'vec3 totalEmissiveRadiance = emissive * vInstanceEmissive;');
+};
+const EDGE_SEGMENT_MATERIAL = new THREE.LineBasicMaterial({ vertexColors: true });
 
 
 // --- Highlighting Constants ---
@@ -69,21 +175,190 @@ const PATH_NODE_MATERIAL = new THREE.MeshPhysicalMaterial({
 });
 const PATH_EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: PATH_EDGE_COLOR });
 
+// Disabled elements in the failure simulation: dimmed, so the surviving graph stands out
+const FAILED_NODE_MATERIAL = new THREE.MeshPhysicalMaterial({
+    color: 0x555555,
+    metalness: 0.2,
+    roughness: 0.8,
+    transparent: true,
+    opacity: 0.4
+});
+const FAILED_EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: 0xaa3333, transparent: true, opacity: 0.35 });
+
+// Packets in the simulation
+const PACKET_GEOMETRY = new THREE.SphereGeometry(NODE_RADIUS * 0.35, 8, 8);
+const PACKET_MATERIAL = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
+
+// Link-load heatmap (traffic analysis): materials for evenly spaced points of the color scale
+const HEATMAP_COLORS = [0x2244ff, 0x22dd66, 0xffdd00, 0xff2222];
+const HEATMAP_MATERIALS = Array.from({ length: 16 }, (_, i) => {
+    const position = (i / 15) * (HEATMAP_COLORS.length - 1);
+    const stop = Math.min(Math.floor(position), HEATMAP_COLORS.length - 2);
+    const color = new THREE.Color(HEATMAP_COLORS[stop]).lerp(new THREE.Color(HEATMAP_COLORS[stop + 1]), position - stop);
+    return new THREE.LineBasicMaterial({ color: color });
+});
+
+// Connectivity analysis: cut vertices (articulation points), bridges, and one node color per
+// connected component when the graph is disconnected
+const CUT_VERTEX_MATERIAL = new THREE.MeshPhysicalMaterial({
+    color: 0xff5500,
+    metalness: 0.6,
+    roughness: 0.3,
+    clearcoat: 0.6,
+    clearcoatRoughness: 0.1,
+    emissive: 0x552200,
+    emissiveIntensity: 0.5
+});
+const BRIDGE_EDGE_MATERIAL = new THREE.LineBasicMaterial({ color: 0xff3355 });
+const COMPONENT_COLORS = [0x00ffff, 0x6bcb77, 0xffd93d, 0x4d96ff, 0xc77dff, 0x2ec4b6, 0xf15bb5, 0xb5e48c];
+const COMPONENT_NODE_MATERIALS = COMPONENT_COLORS.map(color => new THREE.MeshPhysicalMaterial({
+    color: color,
+    metalness: 0.6,
+    roughness: 0.3,
+    clearcoat: 0.6,
+    clearcoatRoughness: 0.1,
+    emissive: 0x111111,
+    emissiveIntensity: 0.5
+}));
+
+// Node colors when coloring a hypercube by one bit of its binary label (bit 0, bit 1)
+const BIT_NODE_MATERIALS = [0x4d96ff, 0xffd93d].map(color => new THREE.MeshPhysicalMaterial({
+    color: color,
+    metalness: 0.6,
+    roughness: 0.3,
+    clearcoat: 0.6,
+    clearcoatRoughness: 0.1,
+    emissive: 0x111111,
+    emissiveIntensity: 0.5
+}));
+
 // Keep original materials accessible
 const ORIGINAL_NODE_MATERIAL = NODE_MATERIAL; // This will now reference the MeshPhysicalMaterial
 const ORIGINAL_EDGE_MATERIAL = EDGE_MATERIAL;
 const ORIGINAL_WRAP_EDGE_MATERIAL = WRAP_EDGE_MATERIAL; // If using wrap edges
 
-// Map to quickly find meshes/lines by ID or edge key
+// Chord colors for circulant graphs, assigned to offsets in ascending order (the ±1 ring keeps EDGE_COLOR)
+const CHORD_COLORS = [0xff6b6b, 0xffd93d, 0x6bcb77, 0x4d96ff, 0xc77dff, 0xff9f1c, 0x2ec4b6, 0xf15bb5];
+const CHORD_MATERIALS = CHORD_COLORS.map(color => new THREE.LineBasicMaterial({ color: color }));
+
+// Topologies drawn with the ring (circle) layout
+const CIRCLE_LAYOUT_TYPES = ['ring', 'circulant', 'gnp', 'randomregular', 'smallworld'];
+
+// Largest graph generated or analyzed (per-node arrays also stay within Math.max(...values) limits)
+const GRAPH_MAX_NODES = 65536;
+
+// Largest graph accepted from an imported file
+const IMPORT_MAX_NODES = GRAPH_MAX_NODES;
+
+// Largest k-ary n-cube that will be generated (product of all dimension sizes)
+const NCUBE_MAX_NODES = GRAPH_MAX_NODES;
+
+// Larger graphs get metrics only (enough for a k = 48 fat tree or a 15-D hypercube)
+const RENDER_MAX_NODES = 32768;
+
+// Beyond this many nodes each sphere is only a few pixels wide, so it gets fewer segments
+const NODE_DETAIL_MAX_NODES = 4096;
+const NODE_SEGMENTS_COARSE = 8;
+
+// Lightning bolts animated per hop level when all shortest paths are highlighted; the other links
+// of the path DAG are only recolored (a 10-D hypercube has 5120 of them between antipodal nodes)
+const PATH_BOLTS_PER_LEVEL = 4;
+
+// Smaller graphs are analyzed inline; copying them to the metrics worker would cost more than it saves
+const METRICS_WORKER_MIN_NODES = 1000;
+
+// Fat tree tiers, top to bottom (order of the bands in the layered layout)
+const FAT_TREE_TIERS = ['core', 'aggregation', 'edge', 'host'];
+
+// Packet simulation: cycles simulated per injection rate for the latency-vs-load plot (statistics
+// only cover packets injected after the warmup) and the most packets drawn while animating
+const SIMULATION_WARMUP_CYCLES = 200;
+const SIMULATION_MEASURE_CYCLES = 600;
+const SIMULATION_MAX_DRAWN_PACKETS = 500;
+
+// Random destinations drawn per node for uniform random traffic, and random intermediate nodes
+// sampled per flow for Valiant routing in the traffic analysis
+const TRAFFIC_UNIFORM_SAMPLES = 8;
+const TRAFFIC_VALIANT_SAMPLES = 4;
+
+// The resilience analysis runs on the main thread (it shares the failure state), so when a BFS from
+// every node would take more than RESILIENCE_MAX_WORK operations its diameter and path length are
+// estimated from RESILIENCE_SAMPLE_SOURCES seeded random sources instead
+const RESILIENCE_MAX_WORK = 2e6;
+const RESILIENCE_SAMPLE_SOURCES = 32;
+
+// Most points a "Fail k random" batch adds to the resilience curve (evenly spaced over the batch)
+const RESILIENCE_BATCH_POINTS = 20;
+
+// Rough operation budget of a traffic analysis, beyond which it is refused. The analysis stays exact
+// (loads scaled up from sampled sources overstate the maximum link load badly) and runs in slices.
+// A hop routed by a lattice algorithm costs about as much as TRAFFIC_HOP_WORK BFS steps, since it
+// builds the path and keys its loads by link.
+const TRAFFIC_MAX_WORK = 5e8;
+const TRAFFIC_HOP_WORK = 20;
+
+// Largest graph the packet simulation runs on (a 10-D hypercube or a 32 x 32 torus)
+const SIMULATION_MAX_NODES = 1024;
+
+// Time per slice of the traffic analysis and the latency-vs-load plot, which run between frames
+const ANALYSIS_SLICE_MS = 30;
+
+// Rough operation budget for the max-flow part of the connectivity analysis (vertex/edge
+// connectivity are reported as unknown beyond it)
+const CONNECTIVITY_MAX_WORK = 1e8;
+
+// Most values in one parameter sweep (each one is a full metrics computation)
+const SWEEP_MAX_POINTS = 200;
+
+// Force-directed layout: ideal link length, cooling factor of the step limit per iteration, pull
+// towards the origin, Barnes–Hut opening angle (larger is faster but coarser), octree depth limit,
+// iteration cap, and the time per animation frame spent iterating
+const FORCE_LAYOUT_EDGE_LENGTH = NODE_RADIUS * 5;
+const FORCE_LAYOUT_COOLING = 0.97;
+const FORCE_LAYOUT_GRAVITY = 0.01;
+const FORCE_LAYOUT_THETA = 0.8;
+const FORCE_LAYOUT_MAX_DEPTH = 32;
+const FORCE_LAYOUT_MAX_ITERATIONS = 500;
+const FORCE_LAYOUT_FRAME_BUDGET_MS = 12;
+
+// Spectral layout: rough operation budget for the eigenvector power iteration (more iterations
+// give a cleaner embedding of large graphs) and the fewest iterations run on the largest graphs,
+// where the smooth start vectors carry most of the layout. Layered layout: barycenter sweeps.
+const SPECTRAL_LAYOUT_MAX_WORK = 2e7;
+const SPECTRAL_LAYOUT_MIN_ITERATIONS = 10;
+const SPECTRAL_LAYOUT_PIVOTS = 8; // BFS distance vectors used as power-iteration start vectors
+const LAYERED_LAYOUT_PASSES = 4;
+
+// Hypercube projections: edge half-length of the innermost cube, growth of each further nested cube
+// (relative to the innermost one), and the total twist of the nested cubes beyond 4 dimensions (so
+// links between cubes of the same corner don't overlap)
+const HYPERCUBE_CUBE_SIZE = 5;
+const HYPERCUBE_NESTING_STEP = 2 / 3;
+const HYPERCUBE_NESTING_TWIST = Math.PI / 2;
+
+// Spacing of the grid dragged nodes snap to (that of the grid layout)
+const DRAG_GRID_SPACING = 3 * NODE_RADIUS;
+
+// Graph editor: the edit that undoes each kind of edit (with the same node or link)
+const INVERSE_GRAPH_EDITS = { addNode: 'removeNode', removeNode: 'addNode', addEdge: 'removeEdge', removeEdge: 'addEdge' };
+
+// Drawn nodes by ID ({ index, position, material, userData }) and drawn edges by edge key
+// ({ firstVertex, vertexCount, points, shape, material, userData }); set materials with setNodeMaterial
+// and setEdgeMaterial, which recolor the instance or the edge's segments
 let nodeMeshMap = new Map();
 let edgeMeshMap = new Map();
 
 // --- Initialization ---
 function init() {
+    metricsRunner = createMetricsRunner();
+    sweepMetricsRunner = createMetricsRunner();
     setupThreeJS();
     setupUIEventListeners();
-    updateParameterInputs(); // Initial parameter fields
-    generateGraphAndMetrics(); // Generate initial graph
+    // A shared link restores its topology, parameters and view; otherwise start with the defaults
+    if (!restoreStateFromHash()) {
+        updateParameterInputs(); // Initial parameter fields
+        generateGraphAndMetrics(); // Generate initial graph
+    }
     animate();
 }
 
@@ -108,20 +383,18 @@ function setupThreeJS() {
     renderer.domElement.addEventListener('click', onNodeClick, false);
     // Add listener to clear highlights on background click
     renderer.domElement.addEventListener('pointerdown', onPointerDown, false);
+    renderer.domElement.addEventListener('pointermove', onPointerMove, false);
     renderer.domElement.addEventListener('pointerup', onPointerUp, false);
 
     // Lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-    scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(5, 10, 7.5).normalize();
-    scene.add(directionalLight);
+    addSceneLights(scene);
 
     // Controls
     controls = new THREE.OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
     controls.dampingFactor = 0.05;
     controls.screenSpacePanning = false; // Optional: restrict panning
+    controls.addEventListener('change', scheduleURLStateUpdate); // Keep the camera in the URL
 
     // Resize Listener
     window.addEventListener('resize', onWindowResize, false);
@@ -130,6 +403,15 @@ function setupThreeJS() {
     setupPostProcessing();
 }
 
+// Ambient plus directional light, shared by the main scene and the comparison scenes
+function addSceneLights(targetScene) {
+    const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
+    targetScene.add(ambientLight);
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    directionalLight.position.set(5, 10, 7.5).normalize();
+    targetScene.add(directionalLight);
+}
+
 function setupPostProcessing() {
     // Create a bloom layer
     bloomLayer = new THREE.Layers();
@@ -160,14 +442,132 @@ function setupUIEventListeners() {
         generateGraphAndMetrics(); // Then generate
     });
 
-    // 2. Use event delegation with 'change' for parameter inputs (numbers + checkbox)
+    // 2. Use event delegation with 'change' for parameter inputs (numbers + text + checkbox + selects)
     paramsContainer.addEventListener('change', (event) => {
-        if (event.target && event.target.nodeName === 'INPUT' &&
-            (event.target.type === 'number' || event.target.type === 'checkbox')) {
+        if (event.target && ((event.target.nodeName === 'INPUT' &&
+            (event.target.type === 'number' || event.target.type === 'text' || event.target.type === 'checkbox')) ||
+            event.target.nodeName === 'SELECT')) {
             generateGraphAndMetrics();
         }
     });
 
+    // 3. Accept graph files dropped anywhere on the scene
+    container.addEventListener('dragover', (event) => event.preventDefault());
+    container.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const file = event.dataTransfer?.files?.[0];
+        if (file) loadGraphFile(file);
+    });
+
+    // 4. Back/forward between previously viewed configurations (and hand-edited hashes)
+    window.addEventListener('popstate', restoreStateFromHash);
+    window.addEventListener('hashchange', restoreStateFromHash);
+
+    // 5. Export buttons
+    document.getElementById('exportJSON').addEventListener('click', () => exportGraph('json'));
+    document.getElementById('exportCSV').addEventListener('click', () => exportGraph('csv'));
+    document.getElementById('exportGraphML').addEventListener('click', () => exportGraph('graphml'));
+    document.getElementById('exportDOT').addEventListener('click', () => exportGraph('dot'));
+    document.getElementById('exportPNG').addEventListener('click', () => {
+        const scale = parseFloat(document.getElementById('snapshotScale').value);
+        exportPNGSnapshot(isNaN(scale) ? 2 : Math.max(1, Math.min(4, scale)));
+    });
+    document.getElementById('exportSVG').addEventListener('click', exportSVGSnapshot);
+
+    // 6. Failure simulation
+    document.getElementById('failRandom').addEventListener('click', () => {
+        const count = parseInt(document.getElementById('failCount').value, 10);
+        const seed = parseInt(document.getElementById('failSeed').value, 10);
+        failRandomElements(isNaN(count) ? 1 : Math.max(1, count), document.getElementById('failTarget').value, isNaN(seed) ? 1 : seed);
+    });
+    clickModeSelect.addEventListener('change', () => {
+        clearHighlights(); // A half-finished selection from the previous mode makes no sense in the new one
+        editorOptionsDiv.style.display = clickModeSelect.value === 'edit' ? '' : 'none';
+        updateURLState(false);
+    });
+    routingAlgorithmSelect.addEventListener('change', clearHighlights);
+    showCutElementsCheckbox.addEventListener('change', refreshBaseMaterials);
+
+    // 7. Traffic analysis
+    trafficPatternSelect.addEventListener('change', () => {
+        document.getElementById('hotspotOptions').style.display = trafficPatternSelect.value === 'hotspot' ? '' : 'none';
+    });
+    document.getElementById('analyzeTraffic').addEventListener('click', runTrafficAnalysis);
+    document.getElementById('clearTraffic').addEventListener('click', () => {
+        cancelTrafficAnalysis();
+        trafficResult = null;
+        updateTrafficDisplay();
+        refreshBaseMaterials();
+    });
+
+    // 8. Packet simulation
+    simulationToggleButton.addEventListener('click', () => {
+        if (packetSimulation) {
+            stopSimulation();
+        } else {
+            startSimulation();
+        }
+    });
+    document.getElementById('plotLatency').addEventListener('click', plotLatencyVsLoad);
+    document.getElementById('resetFailures').addEventListener('click', () => {
+        resetFailures();
+        recomputeSurvivingMetrics();
+    });
+
+    // 9. Topology comparison
+    document.getElementById('addComparison').addEventListener('click', addCurrentToComparison);
+    document.getElementById('clearComparison').addEventListener('click', clearComparison);
+    comparisonViewCheckbox.addEventListener('change', () => setComparisonMode(comparisonViewCheckbox.checked));
+    // Capture phase, so the viewport under the pointer gets its controls before OrbitControls sees the event
+    container.addEventListener('pointerdown', activateComparisonControls, true);
+    container.addEventListener('wheel', activateComparisonControls, true);
+
+    // 10. Parameter sweep
+    sweepParameterSelect.addEventListener('change', resetSweepRange);
+    document.getElementById('runSweep').addEventListener('click', runParameterSweep);
+    document.getElementById('exportSweepCSV').addEventListener('click', exportSweepCSV);
+    document.getElementById('closeSweep').addEventListener('click', () => {
+        cancelParameterSweep();
+        sweepPanel.style.display = 'none';
+    });
+
+    // 11. Metrics of large graphs (computed in the worker)
+    document.getElementById('cancelMetrics').addEventListener('click', cancelMetrics);
+
+    // 12. Layouts: redraw with the chosen one; the force-directed layout starts from the drawn positions
+    layoutSelect.addEventListener('change', redrawGraph);
+    layout3DCheckbox.addEventListener('change', () => {
+        if (layoutSelect.value === 'spectral') redrawGraph(); // The force-directed layout reads it when started
+    });
+    forceLayoutToggleButton.addEventListener('click', () => {
+        if (forceLayout) {
+            stopForceLayout();
+        } else {
+            startForceLayout();
+        }
+    });
+
+    // 13. Hypercube projections: the projection is a layout, the bit coloring a base material
+    hypercubeProjectionSelect.addEventListener('change', redrawGraph);
+    hypercubeColorBitSelect.addEventListener('change', () => {
+        refreshBaseMaterials();
+        updateURLState(false);
+    });
+    rotationPlanesInput.addEventListener('change', updateRotationPlanes);
+    hypercubeRotationToggleButton.addEventListener('click', () => {
+        if (isHypercubeRotating) {
+            stopHypercubeRotation();
+        } else {
+            startHypercubeRotation();
+        }
+    });
+
+    // 14. Graph editor (the canvas clicks are handled in onNodeClick)
+    undoEditButton.addEventListener('click', undoGraphEdit);
+    redoEditButton.addEventListener('click', redoGraphEdit);
+    document.getElementById('deleteNode').addEventListener('click', deleteSelectedNode);
+    window.addEventListener('keydown', onEditorKeyDown);
+
     // Optional: Add 'input' listener *only* for number inputs if you want instant updates
     // while typing in number fields, but be mindful of performance.
     // paramsContainer.addEventListener('input', (event) => {
@@ -184,21 +584,69 @@ function updateParameterInputs() {
     let nodesInput = null; // Keep track if node input exists
 
     if (type === 'ring') {
-        addNumericInput('nodes', 'Nodes:', 12, 3, 100);
-        addNumericInput('skip', 'Skip Dist:', 1, 1, 50);
+        addNumericInput('nodes', 'Nodes:', 12, 3, 50000);
+        addNumericInput('skip', 'Skip Dist:', 1, 1, 25000);
         nodesInput = document.getElementById('nodes'); // Get reference
+    } else if (type === 'circulant') {
+        addNumericInput('nodes', 'Nodes:', 24, 3, 50000);
+        addTextInput('offsets', 'Offsets:', '3,8');
+        addCheckboxInput('includeRing', 'Include ±1 Ring:', true);
+        // Legend filled in by visualizeGraph once the chord colors are known
+        const legend = document.createElement('div');
+        legend.id = 'chordLegend';
+        legend.style.flexWrap = 'wrap';
+        paramsContainer.appendChild(legend);
     } else if (type === 'mesh' || type === 'torus') {
         // Mesh and Torus use the same base parameters
-        addNumericInput('rows', 'Rows:', 4, 2, 20);
-        addNumericInput('cols', 'Cols:', 5, 2, 20);
+        addNumericInput('rows', 'Rows:', 4, 2, 256);
+        addNumericInput('cols', 'Cols:', 5, 2, 256);
 
         if (type === 'torus') {
             addCheckboxInput('use3DLayout', 'Use 3D Layout:', false); // Default to 2D+Style view
         }
+    } else if (type === 'ncube') {
+        // Comma-separated size per dimension, and a matching 1/0 wrap flag per dimension
+        addTextInput('sizes', 'Sizes (k per dim):', '4,4,4');
+        addTextInput('wrap', 'Wrap (1/0 per dim):', '1,1,1');
     } else if (type === 'hypercube') {
         // Dimension 'd' for d-dimensional hypercube
-        // Limit max dimension for practical visualization/performance (e.g., 6 -> 64 nodes)
-        addNumericInput('dimension', 'Dimension (d):', 4, 1, 6);
+        // Up to 65536 nodes; graphs above RENDER_MAX_NODES are analyzed but not drawn
+        addNumericInput('dimension', 'Dimension (d):', 4, 1, 16);
+    } else if (type === 'gnp') {
+        addNumericInput('nodes', 'Nodes:', 30, 2, 5000); // The random generators are quadratic in n
+        addNumericInput('probability', 'Edge Prob. (p):', 0.15, 0, 1, 0.01);
+        addNumericInput('seed', 'Seed:', 1, 0, 999999);
+    } else if (type === 'randomregular') {
+        addNumericInput('nodes', 'Nodes:', 20, 2, 5000);
+        addNumericInput('degree', 'Degree (d):', 3, 1, 10);
+        addNumericInput('seed', 'Seed:', 1, 0, 999999);
+    } else if (type === 'smallworld') {
+        addNumericInput('nodes', 'Nodes:', 30, 3, 2000); // Each rewiring scans every node
+        addNumericInput('neighbors', 'Neighbors (k):', 4, 2, 20);
+        addNumericInput('rewire', 'Rewire Prob. (β):', 0.1, 0, 1, 0.01);
+        addNumericInput('seed', 'Seed:', 1, 0, 999999);
+    } else if (type === 'custom') {
+        addFileInput();
+        addSelectInput('format', 'Format:', [
+            { value: 'auto', label: 'Auto-detect' },
+            { value: 'edgelist', label: 'Edge List' },
+            { value: 'json', label: 'JSON' },
+            { value: 'graphml', label: 'GraphML' },
+            { value: 'dot', label: 'DOT' }
+        ], 'auto');
+    } else if (type === 'fattree') {
+        // k-port switches; k must be even (k=8 -> 80 switches + 128 hosts, k=48 -> 30528 nodes)
+        addNumericInput('k', 'Ports (k):', 4, 2, 48);
+    } else if (type === 'dragonfly') {
+        // Groups = a*h + 1, so the upper limits keep the graph below 20000 nodes
+        addNumericInput('p', 'Terminals (p):', 2, 0, 8);
+        addNumericInput('a', 'Routers/group (a):', 4, 2, 16);
+        addNumericInput('h', 'Global links (h):', 2, 1, 8);
+        addSelectInput('arrangement', 'Global Links:', [
+            { value: 'absolute', label: 'Absolute' },
+            { value: 'relative', label: 'Relative' },
+            { value: 'circulant', label: 'Circulant' }
+        ], 'absolute');
     }
     // Add else if blocks for other topologies
 
@@ -223,9 +671,11 @@ function updateParameterInputs() {
         nodesInput.addEventListener('input', updateMaxSkip); // Use input for immediate max update
         updateMaxSkip();
     }
+
+    updateSweepOptions(); // The sweep offers this topology's numeric parameters
 }
 
-function addNumericInput(id, labelText, defaultValue, min, max) {
+function addNumericInput(id, labelText, defaultValue, min, max, step = 1) {
     const div = document.createElement('div');
     // --- Style the container div ---
     div.style.display = 'flex';         // Use flexbox to arrange items horizontally
@@ -249,6 +699,7 @@ function addNumericInput(id, labelText, defaultValue, min, max) {
     input.value = defaultValue;
     input.min = min;
     input.max = max;
+    input.step = step; // Non-integer steps make the value parse as a float
     // Optional: Limit input width
     // input.style.width = '60px';
 
@@ -284,6 +735,118 @@ function addCheckboxInput(id, labelText, defaultChecked) {
     paramsContainer.appendChild(div);
 }
 
+// Helper function to add a free-text input (e.g. comma-separated lists)
+function addTextInput(id, labelText, defaultValue) {
+    const div = document.createElement('div');
+    div.style.display = 'flex';
+    div.style.alignItems = 'center';
+    div.style.justifyContent = 'flex-start';
+    div.style.marginBottom = '10px';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+    label.style.width = '120px'; // Same width as numeric input labels
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.value = defaultValue;
+
+    div.appendChild(label);
+    div.appendChild(input);
+    paramsContainer.appendChild(div);
+}
+
+// Helper function to add a select (dropdown) input
+function addSelectInput(id, labelText, options, defaultValue) {
+    const div = document.createElement('div');
+    div.style.display = 'flex';
+    div.style.alignItems = 'center';
+    div.style.justifyContent = 'flex-start';
+    div.style.marginBottom = '10px';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.textContent = labelText;
+    label.style.width = '120px'; // Same width as numeric input labels
+
+    const select = document.createElement('select');
+    select.id = id;
+    options.forEach(option => {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.label;
+        select.appendChild(optionElement);
+    });
+    select.value = defaultValue;
+
+    div.appendChild(label);
+    div.appendChild(select);
+    paramsContainer.appendChild(div);
+}
+
+// Helper for the 'custom' topology: a drop zone that also opens a file picker when clicked
+function addFileInput() {
+    const div = document.createElement('div');
+    div.style.display = 'block';
+    div.style.marginBottom = '10px';
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.id = 'graphFile';
+    input.accept = '.txt,.csv,.edges,.json,.graphml,.xml,.dot,.gv';
+    input.style.display = 'none';
+    input.addEventListener('change', () => {
+        if (input.files.length > 0) loadGraphFile(input.files[0]);
+    });
+
+    const dropZone = document.createElement('div');
+    dropZone.id = 'dropZone';
+    dropZone.textContent = importedFile
+        ? `Loaded ${importedFile.name}. Drop or click to replace.`
+        : 'Drop an edge list, JSON, GraphML or DOT file here, or click to choose one.';
+    dropZone.addEventListener('click', () => input.click());
+    dropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('dragOver');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragOver'));
+    dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        event.stopPropagation(); // The container drop handler would load it a second time
+        dropZone.classList.remove('dragOver');
+        const file = event.dataTransfer?.files?.[0];
+        if (file) loadGraphFile(file);
+    });
+
+    div.appendChild(input);
+    div.appendChild(dropZone);
+    paramsContainer.appendChild(div);
+}
+
+// Read a dropped/uploaded file and show it as the 'custom' topology
+function loadGraphFile(file) {
+    file.text().then(text => {
+        importedFile = { name: file.name, text: text };
+        if (topologyTypeSelect.value !== 'custom') {
+            topologyTypeSelect.value = 'custom';
+        }
+        updateParameterInputs(); // Refresh the drop zone text
+        generateGraphAndMetrics();
+    }).catch(error => {
+        showError(`Could not read ${file.name}: ${error.message}`);
+    });
+}
+
+function showError(message) {
+    errorMessageDiv.textContent = message;
+}
+
+function clearError() {
+    errorMessageDiv.textContent = '';
+}
+
 // Track mouse position on pointer down
 let mouseDownPosition = null;
 
@@ -293,47 +856,79 @@ function onPointerDown(event) {
         x: event.clientX,
         y: event.clientY
     };
+    nodeDragMoved = false;
+    if (comparisonMode || event.button !== 0) return;
+    // Pressing on a node starts dragging it (registered before OrbitControls, so it can pause them)
+    mouse.x = (event.clientX / renderer.domElement.clientWidth) * 2 - 1;
+    mouse.y = -(event.clientY / renderer.domElement.clientHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+    const nodeId = pickNode();
+    if (nodeId !== null) startNodeDrag(nodeId, event);
+}
+
+function onPointerMove(event) {
+    if (!nodeDrag) return;
+    mouse.x = (event.clientX / renderer.domElement.clientWidth) * 2 - 1;
+    mouse.y = -(event.clientY / renderer.domElement.clientHeight) * 2 + 1;
+    raycaster.setFromCamera(mouse, camera);
+    moveDraggedNode();
 }
 
 function onPointerUp(event) {
+    if (nodeDrag) endNodeDrag();
+    if (comparisonMode) return; // Nodes in the split view can't be selected
     // Check if the pointer release was on the background (not on a node)
     mouse.x = (event.clientX / renderer.domElement.clientWidth) * 2 - 1;
     mouse.y = -(event.clientY / renderer.domElement.clientHeight) * 2 + 1;
     raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(nodeMeshes);
-
-    // Check if the mouse moved between pointer down and up
-    const mouseUpPosition = {
-        x: event.clientX,
-        y: event.clientY
-    };
-    const movementThreshold = 5; // Allowable movement in pixels
-    const mouseMoved = mouseDownPosition && (
-        Math.abs(mouseDownPosition.x - mouseUpPosition.x) > movementThreshold ||
-        Math.abs(mouseDownPosition.y - mouseUpPosition.y) > movementThreshold
-    );
+    const clickedNodeId = pickNode();
 
-    if (!mouseMoved && intersects.length === 0) {
+    if (!hasPointerMoved(event) && clickedNodeId === null) {
         // Only clear highlights if no nodes were clicked and the mouse did not move
         clearHighlights();
+        updateURLState(false);
     }
 }
 
+// Check if the mouse moved between pointer down and `event` (a release or click), i.e. the camera was dragged
+function hasPointerMoved(event) {
+    const movementThreshold = 5; // Allowable movement in pixels
+    return Boolean(mouseDownPosition) && (
+        Math.abs(mouseDownPosition.x - event.clientX) > movementThreshold ||
+        Math.abs(mouseDownPosition.y - event.clientY) > movementThreshold
+    );
+}
+
 function onNodeClick(event) {
     event.preventDefault();
+    if (comparisonMode) return;
+    if (nodeDragMoved) { // The click ending a drag doesn't select the node
+        nodeDragMoved = false;
+        return;
+    }
 
     mouse.x = (event.clientX / renderer.domElement.clientWidth) * 2 - 1;
     mouse.y = -(event.clientY / renderer.domElement.clientHeight) * 2 + 1;
 
     raycaster.setFromCamera(mouse, camera);
 
-    const intersects = raycaster.intersectObjects(nodeMeshes); // Check intersection with node meshes
+    if (clickModeSelect.value === 'fail') {
+        failClickedElement();
+        return;
+    }
+    if (clickModeSelect.value === 'edit') {
+        if (!hasPointerMoved(event)) editClickedElement(event.shiftKey); // Orbiting adds no node
+        return;
+    }
+
+    const sourceNodeId = pickNode(); // Instance under the pointer
 
-    if (intersects.length > 0) {
-        const clickedMesh = intersects[0].object;
-        if (clickedMesh.userData && clickedMesh.userData.nodeId !== undefined) {
-            const sourceNodeId = clickedMesh.userData.nodeId;
+    if (sourceNodeId !== null) {
+        if (clickModeSelect.value === 'pair' || clickModeSelect.value === 'route') {
+            selectPathQueryNode(sourceNodeId);
+        } else {
             highlightDiameterPath(sourceNodeId);
+            updateURLState(false);
         }
     }
     // Note: We don't clear highlights here; that's handled by onPointerDown hitting the background
@@ -342,17 +937,63 @@ function onNodeClick(event) {
 // --- Graph Generation & Metrics ---
 function generateGraphAndMetrics() {
     clearVisualization();
-
+    clearError();
+    resetFailures(); // Failures refer to elements of the previous graph
+    trafficResult = null; // So do link loads
+    cancelTrafficAnalysis();
+    stopSimulation(); // ...and packets in flight
+    cancelLatencyPlot();
+    simulationStatsDiv.textContent = '';
+
+    manualPositions.clear(); // They belong to the previous graph
+    clearEditHistory(); // So do the edits
     const type = topologyTypeSelect.value;
-    let params = {};
+    const { params, use3DLayout } = readTopologyParams();
+
+    // --- Generate graph data structure ---
+    graphData = generateTopology(type, params);
+
+    // --- Calculate Adjacency List (and store it) ---
+    adjacencyList = buildAdjacencyList(graphData);
+    currentTopology = { type: type, params: params, use3DLayout: use3DLayout, edited: false };
+    updateRoutingOptions(type);
+    updateHypercubeOptions();
+
+    // Update UI
+    updateFailurePanel();
+    updateTrafficDisplay();
+
+
+    // Visualize the new graph
+    if (graphData.nodes.length > RENDER_MAX_NODES) {
+        showError(`${graphData.nodes.length} nodes is too many to draw (at most ${RENDER_MAX_NODES}); showing metrics only.`);
+    } else if (graphData.nodes.length > 0) {
+        // **** PASS LAYOUT CHOICE TO VISUALIZE FUNCTION ****
+        visualizeGraph(graphData, type, use3DLayout, params);
+        refreshBaseMaterials();
+    }
+
+    // Calculate Metrics (in the worker for large graphs; a previous computation is cancelled)
+    updateCurrentMetrics(graphData);
+
+    // Every new configuration gets its own history entry
+    updateURLState(true);
+}
+
+// Values of the inputs in paramsContainer (invalid numbers are reset to the input's minimum)
+function readTopologyParams() {
+    const params = {};
     let use3DLayout = false; // Default layout choice for Torus
 
     // Read parameter values from the dynamically created inputs
-    paramsContainer.querySelectorAll('input').forEach(input => {
-        if (input.type === 'number') {
-            let value = parseInt(input.value, 10);
+    paramsContainer.querySelectorAll('input, select').forEach(input => {
+        if (input.nodeName === 'SELECT' || input.type === 'text') {
+            params[input.id] = input.value;
+        } else if (input.type === 'number') {
+            const isInteger = Number.isInteger(parseFloat(input.step || '1'));
+            let value = isInteger ? parseInt(input.value, 10) : parseFloat(input.value);
             if (isNaN(value)) {
-                const minVal = parseInt(input.min);
+                const minVal = isInteger ? parseInt(input.min) : parseFloat(input.min);
                 value = isNaN(minVal) ? 1 : minVal;
                 console.warn(`Invalid input for ${input.id}, using fallback value: ${value}`);
                 input.value = value;
@@ -361,47 +1002,306 @@ function generateGraphAndMetrics() {
         } else if (input.type === 'checkbox' && input.id === 'use3DLayout') {
             // **** READ CHECKBOX STATE ****
             use3DLayout = input.checked;
+        } else if (input.type === 'checkbox') {
+            params[input.id] = input.checked;
         }
     });
+    return { params: params, use3DLayout: use3DLayout };
+}
 
-    // --- Generate graph data structure ---
-    // (Generation logic remains the same, based only on type and params like rows/cols/skip)
+// Build the graph for a topology type and its parameters (as read by readTopologyParams)
+function generateTopology(type, params) {
     if (type === 'ring') {
-        graphData = generateRing(params.nodes || 12, params.skip || 1);
+        return generateRing(params.nodes || 12, params.skip || 1);
+    } else if (type === 'circulant') {
+        return generateCirculant(params.nodes || 24, parseIntegerList(params.offsets || ''), params.includeRing !== false);
     } else if (type === 'mesh') {
-        graphData = generateMesh(params.rows || 4, params.cols || 5);
+        return generateMesh(params.rows || 4, params.cols || 5);
     } else if (type === 'torus') {
-        graphData = generateTorus(params.rows || 4, params.cols || 5);
+        return generateTorus(params.rows || 4, params.cols || 5);
+    } else if (type === 'ncube') {
+        const sizes = parseIntegerList(params.sizes || '');
+        const wrap = parseIntegerList(params.wrap || '').map(flag => flag !== 0);
+        return generateKaryNCube(sizes.length > 0 ? sizes : [4, 4, 4], wrap);
     } else if (type === 'hypercube') { // **** ADD THIS ELSE IF ****
-        graphData = generateHypercube(params.dimension || 4); // Default to 3D cube
+        return generateHypercube(params.dimension || 4); // Default to 3D cube
+    } else if (type === 'gnp') {
+        return generateErdosRenyi(params.nodes || 30, params.probability ?? 0.15, params.seed ?? 1);
+    } else if (type === 'randomregular') {
+        return generateRandomRegular(params.nodes || 20, params.degree || 3, params.seed ?? 1);
+    } else if (type === 'smallworld') {
+        return generateWattsStrogatz(params.nodes || 30, params.neighbors || 4, params.rewire ?? 0.1, params.seed ?? 1);
+    } else if (type === 'fattree') {
+        return generateFatTree(params.k || 4);
+    } else if (type === 'dragonfly') {
+        return generateDragonfly(params.p ?? 2, params.a || 4, params.h || 2, params.arrangement);
+    } else if (type === 'custom') {
+        if (importedFile) {
+            try {
+                importedGraph = parseGraphFile(importedFile.text, importedFile.name, params.format);
+            } catch (error) {
+                // Keep showing the last graph that parsed successfully (if any)
+                showError(`Could not import ${importedFile.name}: ${error.message}`);
+            }
+        } else {
+            showError('No graph loaded yet. Drop or choose a file above.');
+        }
+        return importedGraph || { nodes: [], edges: [] };
     }
-    // --- End Generation ---
+    return { nodes: [], edges: [] };
+}
 
-    // --- Calculate Adjacency List (and store it) ---
-    adjacencyList = new Map();
-    graphData.nodes.forEach(node => adjacencyList.set(node.id, []));
-    graphData.edges.forEach(edge => {
-        // Ensure both directions are added for BFS
-        adjacencyList.get(edge.source)?.push(edge.target);
-        adjacencyList.get(edge.target)?.push(edge.source);
+// --- Shareable URL State ---
+// The URL hash holds the topology type, every input in paramsContainer (by id), the camera
+// position ("cam"), the orbit target ("target") and the selected source node ("source"), e.g.
+// #type=torus&rows=6&cols=8&use3DLayout=1&cam=10,5,30&target=0,0,0&source=3
+
+function encodeViewState() {
+    const state = new URLSearchParams();
+    state.set('type', topologyTypeSelect.value);
+    paramsContainer.querySelectorAll('input, select').forEach(input => {
+        if (input.type === 'file') return; // Imported files can't be shared through the URL
+        state.set(input.id, input.type === 'checkbox' ? (input.checked ? '1' : '0') : input.value);
     });
+    if (layoutSelect.value !== 'default') state.set('layout', layoutSelect.value);
+    if (layout3DCheckbox.checked) state.set('layout3D', '1');
+    if (hypercubeOptionsDiv.style.display !== 'none') {
+        if (hypercubeProjectionSelect.value !== 'nested') state.set('projection', hypercubeProjectionSelect.value);
+        if (hypercubeColorBitSelect.value !== 'none') state.set('colorBit', hypercubeColorBitSelect.value);
+    }
+    const formatVector = vector => vector.toArray().map(value => parseFloat(value.toFixed(2))).join(',');
+    state.set('cam', formatVector(camera.position));
+    state.set('target', formatVector(controls.target));
+    if (selectedSourceNodeId !== null) {
+        state.set('source', selectedSourceNodeId);
+    }
+    return state.toString().replace(/%2C/g, ','); // Commas are valid in a fragment and easier to read
+}
 
-    // Calculate Metrics
-    // Pass adjacencyList to the metrics function if needed, or have it use the global one
-    const metrics = calculateGraphMetrics(graphData, adjacencyList); // Modify if necessary
+// Write the current state to the URL. push=true creates a history entry (new configuration);
+// otherwise the current entry is updated in place (camera moves, node selection).
+function updateURLState(push) {
+    if (isRestoringState) return;
+    clearTimeout(urlUpdateTimeout);
+    const hash = '#' + encodeViewState();
+    if (hash === window.location.hash) return;
+    if (push && window.location.hash !== '') {
+        history.pushState(null, '', hash);
+    } else {
+        history.replaceState(null, '', hash);
+    }
+}
 
-    // Update UI
+function scheduleURLStateUpdate() {
+    if (isRestoringState) return;
+    clearTimeout(urlUpdateTimeout);
+    urlUpdateTimeout = setTimeout(() => updateURLState(false), 300);
+}
+
+// Apply the state in the URL hash. Returns false if the hash holds no usable state.
+function restoreStateFromHash() {
+    const state = new URLSearchParams(window.location.hash.slice(1));
+    const type = state.get('type');
+    const typeOption = Array.from(topologyTypeSelect.options).find(option => option.value === type);
+    if (!typeOption) return false;
+    if (window.location.hash === '#' + encodeViewState()) return true; // Already showing this state
+
+    isRestoringState = true;
+    try {
+        // Topology and parameters
+        if (topologyTypeSelect.value !== type || paramsContainer.children.length === 0) {
+            topologyTypeSelect.value = type;
+            updateParameterInputs();
+        }
+        paramsContainer.querySelectorAll('input, select').forEach(input => {
+            if (!state.has(input.id) || input.type === 'file') return;
+            if (input.type === 'checkbox') {
+                input.checked = state.get(input.id) === '1';
+            } else {
+                input.value = state.get(input.id);
+            }
+        });
+        const layoutOption = Array.from(layoutSelect.options).find(option => option.value === state.get('layout'));
+        layoutSelect.value = layoutOption ? layoutOption.value : 'default';
+        layout3DCheckbox.checked = state.get('layout3D') === '1';
+        hypercubeProjectionSelect.value = state.get('projection') === 'petrie' ? 'petrie' : 'nested';
+        generateGraphAndMetrics();
+        // The bit options only exist once the hypercube is generated
+        const colorBitOption = Array.from(hypercubeColorBitSelect.options).find(option => option.value === state.get('colorBit'));
+        hypercubeColorBitSelect.value = colorBitOption ? colorBitOption.value : 'none';
+        refreshBaseMaterials();
+
+        // Camera (visualizeGraph resets it, so this comes after generation)
+        const parseVector = text => {
+            const values = (text || '').split(',').map(Number);
+            return values.length === 3 && values.every(value => !isNaN(value)) ? new THREE.Vector3(...values) : null;
+        };
+        const cameraPosition = parseVector(state.get('cam'));
+        const target = parseVector(state.get('target'));
+        if (cameraPosition) camera.position.copy(cameraPosition);
+        if (target) controls.target.copy(target);
+        controls.update();
+
+        // Selected source node
+        const source = state.has('source') ? Number(state.get('source')) : NaN;
+        if (!isNaN(source) && nodeMeshMap.has(source)) {
+            highlightDiameterPath(source);
+        }
+    } finally {
+        isRestoringState = false;
+    }
+    history.replaceState(null, '', '#' + encodeViewState()); // Normalize (e.g. clamped values)
+    return true;
+}
+
+// Show the metrics of `graph` (graphData itself, or what survives of it after failures)
+function displayMetrics(graph, metrics) {
     diameterSpan.textContent = metrics.diameter === Infinity ? 'Disconnected' : metrics.diameter;
     avgPathLengthSpan.textContent = metrics.avgPathLength === Infinity ? 'Disconnected' : metrics.avgPathLength;
-    nodeCountSpan.textContent = graphData.nodes.length;
-    edgeCountSpan.textContent = graphData.edges.length;
+    const describeCount = (surviving, total) => surviving === total ? total : `${surviving} of ${total}`;
+    nodeCountSpan.textContent = describeCount(graph.nodes.length, graphData.nodes.length);
+    edgeCountSpan.textContent = describeCount(graph.edges.length, graphData.edges.length);
+    componentCountSpan.textContent = metrics.componentCount;
+    updateMetricsPanel(graph, metrics);
+}
 
+// Fill the expandable "More metrics" panel (values and small charts)
+function updateMetricsPanel(graph, metrics) {
+    const perNode = metrics.perNode;
+    radiusSpan.textContent = metrics.radius === Infinity ? 'Disconnected' : metrics.radius;
+    degreeStatsSpan.textContent = `${metrics.minDegree} / ${metrics.avgDegree} / ${metrics.maxDegree}`;
+    bisectionWidthSpan.textContent = `≤ ${metrics.bisectionWidth}`;
+    bisectionWidthSpan.title = `Spectral split: ${metrics.bisection.spectral}, FM refined: ${metrics.bisection.refined}`;
+    const describeConnectivity = value => value === null ? '?' : value;
+    connectivitySpan.textContent = `${describeConnectivity(metrics.vertexConnectivity)} / ${describeConnectivity(metrics.edgeConnectivity)}`;
+    connectivitySpan.title = metrics.vertexConnectivity === null || metrics.edgeConnectivity === null
+        ? 'Graph too large for the max-flow computation' : '';
+    cutVertexCountSpan.textContent = metrics.articulationPoints.length;
+    bridgeCountSpan.textContent = metrics.bridges.length;
+
+    // Highest value and the node that has it
+    const describeMax = values => {
+        if (values.length === 0) return 'N/A';
+        const best = values.indexOf(Math.max(...values));
+        return `${values[best]} (node ${graph.nodes[best].id})`;
+    };
+    maxClosenessSpan.textContent = describeMax(perNode.closeness);
+    maxBetweennessSpan.textContent = describeMax(perNode.betweenness);
 
-    // Visualize the new graph
-    if (graphData.nodes.length > 0) {
-        // **** PASS LAYOUT CHOICE TO VISUALIZE FUNCTION ****
-        visualizeGraph(graphData, type, use3DLayout, params);
+    drawBarChart(document.getElementById('pathLengthChart'), metrics.pathLengthHistogram.slice(1), { firstLabel: 1, color: '#00aaff' });
+    drawBarChart(document.getElementById('degreeChart'), metrics.degreeDistribution, { firstLabel: 0, color: '#6bcb77' });
+
+    // Eccentricity distribution (empty for disconnected graphs, where every eccentricity is infinite)
+    const finiteEccentricities = perNode.eccentricity.filter(value => value !== Infinity);
+    const eccentricityCounts = new Array(finiteEccentricities.length > 0 ? Math.max(...finiteEccentricities) + 1 : 0).fill(0);
+    finiteEccentricities.forEach(value => eccentricityCounts[value]++);
+    const firstEccentricity = eccentricityCounts.findIndex(count => count > 0);
+    drawBarChart(document.getElementById('eccentricityChart'), eccentricityCounts.slice(Math.max(0, firstEccentricity)), { firstLabel: Math.max(0, firstEccentricity), color: '#ffd93d' });
+
+    drawBarChart(document.getElementById('closenessChart'), perNode.closeness, { firstLabel: graph.nodes[0]?.id ?? 0, color: '#c77dff' });
+    drawBarChart(document.getElementById('betweennessChart'), perNode.betweenness, { firstLabel: graph.nodes[0]?.id ?? 0, color: '#ff6b6b' });
+}
+
+// Minimal bar chart: values[i] drawn left to right, labeled with the first/last x value
+// (options.firstLabel is the x value of values[0]) and the maximum y value
+function drawBarChart(canvas, values, options = {}) {
+    if (!canvas || !canvas.getContext) return;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    const width = canvas.width;
+    const height = canvas.height;
+    const labelHeight = 12;
+    const chartHeight = height - labelHeight;
+    context.clearRect(0, 0, width, height);
+    context.font = '10px Arial';
+    context.fillStyle = '#aaa';
+    if (values.length === 0) {
+        context.fillText('No data', 4, chartHeight / 2);
+        return;
+    }
+
+    const maxValue = Math.max(...values) || 1;
+    const barWidth = width / values.length;
+    context.fillStyle = options.color || '#00aaff';
+    values.forEach((value, i) => {
+        const barHeight = (value / maxValue) * (chartHeight - 12);
+        // Leave a gap between bars only when they are wide enough to show it
+        context.fillRect(i * barWidth, chartHeight - barHeight, Math.max(1, barWidth - (barWidth > 3 ? 1 : 0)), barHeight);
+    });
+
+    const firstLabel = options.firstLabel ?? 0;
+    context.fillStyle = '#aaa';
+    context.fillText(String(firstLabel), 2, height - 2);
+    const lastLabel = String(firstLabel + values.length - 1);
+    context.fillText(lastLabel, width - context.measureText(lastLabel).width - 2, height - 2);
+    const maxLabel = `max ${parseFloat(maxValue.toFixed(4))}`;
+    context.fillText(maxLabel, width - context.measureText(maxLabel).width - 2, 10);
+}
+
+// Minimal line chart: each series ({ values, color, max }) is drawn over xValues. Series without
+// their own `max` share one scale (the largest of their values); options.leftLabel/rightLabel
+// annotate the top corners
+function drawLineChart(canvas, xValues, series, options = {}) {
+    if (!canvas || !canvas.getContext) return;
+    const context = canvas.getContext('2d');
+    if (!context) return;
+    const width = canvas.width;
+    const height = canvas.height;
+    const labelHeight = 12;
+    const top = 14;
+    const chartHeight = height - labelHeight - top;
+    context.clearRect(0, 0, width, height);
+    context.font = '10px Arial';
+    context.fillStyle = '#aaa';
+    if (xValues.length === 0) {
+        context.fillText('No data', 4, height / 2);
+        return;
     }
+
+    const sharedMax = Math.max(1, ...series.filter(s => s.max === undefined).flatMap(s => s.values));
+    const minX = xValues[0];
+    const rangeX = (xValues[xValues.length - 1] - minX) || 1;
+    const toX = x => 2 + ((x - minX) / rangeX) * (width - 4);
+    series.forEach(({ values, color, max }) => {
+        const scale = max ?? sharedMax;
+        context.strokeStyle = color;
+        context.lineWidth = 1.5;
+        context.beginPath();
+        values.forEach((value, i) => {
+            const y = top + chartHeight - (value / scale) * chartHeight;
+            if (i === 0) context.moveTo(toX(xValues[i]), y);
+            else context.lineTo(toX(xValues[i]), y);
+        });
+        context.stroke();
+        if (values.length === 1) context.fillRect(toX(xValues[0]) - 1, top + chartHeight - (values[0] / scale) * chartHeight - 1, 3, 3);
+    });
+
+    context.fillStyle = '#aaa';
+    context.fillText(String(minX), 2, height - 2);
+    const lastLabel = String(xValues[xValues.length - 1]);
+    context.fillText(lastLabel, width - context.measureText(lastLabel).width - 2, height - 2);
+    if (options.leftLabel) context.fillText(options.leftLabel.replace('{max}', parseFloat(sharedMax.toFixed(3))), 2, 10);
+    if (options.rightLabel) context.fillText(options.rightLabel, width - context.measureText(options.rightLabel).width - 2, 10);
+}
+
+// Undirected adjacency list (node id -> neighbor ids) used by BFS and the metrics
+function buildAdjacencyList(graph) {
+    const adj = new Map();
+    graph.nodes.forEach(node => adj.set(node.id, []));
+    graph.edges.forEach(edge => {
+        // Ensure both directions are added for BFS
+        adj.get(edge.source)?.push(edge.target);
+        adj.get(edge.target)?.push(edge.source);
+    });
+    return adj;
+}
+
+// Parse a comma-separated list like "4, 4,8" into integers, ignoring invalid entries
+function parseIntegerList(text) {
+    return String(text)
+        .split(',')
+        .map(part => parseInt(part.trim(), 10))
+        .filter(value => !isNaN(value));
 }
 
 // --- Topology Generation Functions ---
@@ -457,6 +1357,45 @@ function generateRing(n, skip = 1) {
     return { nodes, edges };
 }
 
+// Circulant graph C_n(offsets): node i links to i ± s for every offset s.
+// Each edge keeps its (normalized) offset so chords of different lengths can be told apart.
+function generateCirculant(n, offsets, includeRing = true) {
+    const nodes = [];
+    const edges = [];
+    if (n < 1) return { nodes, edges };
+
+    for (let i = 0; i < n; i++) {
+        nodes.push({ id: i });
+    }
+
+    // Offsets s and n - s describe the same chords; keep the shorter one, drop 0 (self-loops)
+    const chordOffsets = new Set();
+    if (includeRing) chordOffsets.add(1);
+    offsets.forEach(offset => {
+        const s = ((offset % n) + n) % n;
+        const normalized = Math.min(s, n - s);
+        if (normalized > 0) {
+            chordOffsets.add(normalized);
+        } else {
+            console.warn(`Offset ${offset} is a multiple of n=${n}, ignoring it`);
+        }
+    });
+
+    const addedEdges = new Set(); // Offset n/2 reaches the same pair from both ends
+    [...chordOffsets].sort((a, b) => a - b).forEach(offset => {
+        for (let i = 0; i < n; i++) {
+            const j = (i + offset) % n;
+            const edgeKey = `${Math.min(i, j)}-${Math.max(i, j)}`;
+            if (!addedEdges.has(edgeKey)) {
+                edges.push({ source: i, target: j, offset: offset });
+                addedEdges.add(edgeKey);
+            }
+        }
+    });
+
+    return { nodes, edges };
+}
+
 function generateMesh(rows, cols) {
     const nodes = [];
     const edges = [];
@@ -545,14 +1484,74 @@ function generateTorus(rows, cols) {
     return { nodes, edges };
 }
 
+// General k-ary n-cube: sizes[i] nodes along dimension i, wrap[i] adds the wrap-around link
+// (missing wrap flags default to wrapped).
+// All wraps on gives an n-dimensional torus, all wraps off an n-dimensional mesh.
+function generateKaryNCube(sizes, wrap = []) {
+    const nodes = [];
+    const edges = [];
+    sizes = sizes.map(k => Math.max(1, k));
+    if (sizes.length === 0) return { nodes, edges };
+
+    // Keep the graph at a practical size by shrinking the largest dimensions: cap them at the
+    // largest size that fits, then give back one more to the later ones while that still fits
+    const countNodes = cap => sizes.reduce((product, k) => product * Math.min(k, cap), 1);
+    let n = countNodes(Infinity);
+    if (n > NCUBE_MAX_NODES) {
+        const original = sizes.join('x');
+        let low = 1; // Largest cap known to fit
+        let high = Math.max(...sizes); // Smallest cap known not to
+        while (high - low > 1) {
+            const middle = Math.floor((low + high) / 2);
+            if (countNodes(middle) <= NCUBE_MAX_NODES) low = middle;
+            else high = middle;
+        }
+        sizes = sizes.map(k => Math.min(k, high));
+        for (let i = 0; i < sizes.length && countNodes(Infinity) > NCUBE_MAX_NODES; i++) {
+            if (sizes[i] === high) sizes[i] = low;
+        }
+        n = countNodes(Infinity);
+        console.warn(`k-ary n-cube ${original} too large. Using ${sizes.join('x')} (${n} nodes).`);
+    }
+
+    // Mixed-radix strides: dimension 0 varies slowest (row-major, like generateTorus)
+    const strides = [];
+    let stride = 1;
+    for (let i = sizes.length - 1; i >= 0; i--) {
+        strides[i] = stride;
+        stride *= sizes[i];
+    }
+
+    // --- Generate Nodes ---
+    for (let id = 0; id < n; id++) {
+        const coords = sizes.map((k, i) => Math.floor(id / strides[i]) % k);
+        nodes.push({ id: id, coords: coords });
+    }
+
+    // --- Generate Edges ---
+    // Each node links to its +1 neighbor in every dimension; -1 links come from the neighbor itself
+    nodes.forEach(node => {
+        node.coords.forEach((c, i) => {
+            if (c + 1 < sizes[i]) {
+                edges.push({ source: node.id, target: node.id + strides[i], dim: i });
+            } else if (wrap[i] !== false && sizes[i] > 2) {
+                // k=2 would duplicate the existing link and k=1 would be a self-loop
+                edges.push({ source: node.id, target: node.id - c * strides[i], dim: i, wrap: true });
+            }
+        });
+    });
+
+    return { nodes, edges };
+}
+
 function generateHypercube(d) {
     const nodes = [];
     const edges = [];
     // Basic validation
     if (d < 0) d = 0; // 0-cube is a single point
-    if (d > 10) {
-        console.warn(`Hypercube dimension ${d} too large, may cause performance issues. Clamping to 10.`);
-        d = 10; // Limit for practical reasons (1024 nodes)
+    if (d > 16) {
+        console.warn(`Hypercube dimension ${d} too large, may cause performance issues. Clamping to 16.`);
+        d = 16; // GRAPH_MAX_NODES (65536 nodes)
     }
 
 
@@ -595,432 +1594,2364 @@ function generateHypercube(d) {
     return { nodes, edges };
 }
 
-// --- Metric Calculation Functions ---
-function calculateGraphMetrics(graph, adj) {
-    const n = graph.nodes.length;
-    // Handle trivial cases
-    if (n <= 1) return { diameter: 0, avgPathLength: 0, isConnected: true };
+function generateFatTree(k) {
+    const nodes = [];
+    const edges = [];
+    if (k < 2) return { nodes, edges };
+    // A k-ary fat tree needs an even port count (half the ports go up, half go down)
+    if (k % 2 !== 0) {
+        console.warn(`Fat tree k=${k} must be even. Using k=${k + 1}.`);
+        k = k + 1;
+    }
 
-    let maxDistance = 0;         // Stores the diameter
-    let totalPathLengthSum = 0;  // Sum of all shortest paths
-    let reachablePairsCount = 0; // Count of reachable node pairs (excluding self)
-    let isConnected = true;      // Connectivity flag
-    let nodesInFirstComponent = 0; // Size of component found by first BFS
+    const half = k / 2;
+    let idCounter = 0;
 
-    for (let i = 0; i < n; i++) {
-        const startNodeId = graph.nodes[i].id;
-        const { distances } = bfs(startNodeId, adj, graph.nodes); // Only need distances here
-        let currentMax = 0;        // Max distance from this start node
-        let reachableCount = 0;    // Nodes reachable from this start node
-
-        distances.forEach((dist, targetNodeId) => {
-            if (dist !== Infinity) {
-                reachableCount++;
-                // For ASPL, only sum paths to other nodes (dist > 0)
-                if (dist > 0) {
-                    totalPathLengthSum += dist;
-                    reachablePairsCount++;
-                }
-                currentMax = Math.max(currentMax, dist); // Update max distance from startNode
-            }
-        });
+    // --- Generate Nodes (tier by tier, top to bottom) ---
+    // Core layer: (k/2)^2 switches, grouped in k/2 groups of k/2
+    const coreIds = [];
+    for (let i = 0; i < half * half; i++) {
+        const nodeId = idCounter++;
+        nodes.push({ id: nodeId, tier: 'core', index: i });
+        coreIds.push(nodeId);
+    }
 
-        // Connectivity Check: Compare reachable nodes count
-        if (i === 0) {
-            nodesInFirstComponent = reachableCount;
-            if (nodesInFirstComponent < n) {
-                isConnected = false; // Disconnected if first BFS doesn't reach all nodes
-                // console.warn(`Graph appears disconnected. Component size: ${nodesInFirstComponent}/${n}`);
-            }
-        } else if (isConnected && reachableCount !== nodesInFirstComponent) {
-            // If previously thought connected, but this BFS reaches a different number,
-            // it confirms disconnection (handles cases where first node was isolated).
-            isConnected = false;
-            console.warn(`Graph confirmed disconnected. Reachable count mismatch: ${reachableCount} vs ${nodesInFirstComponent}`);
+    // Each of the k pods has k/2 aggregation and k/2 edge switches
+    const aggIds = []; // aggIds[pod][i]
+    const edgeIds = []; // edgeIds[pod][i]
+    for (let pod = 0; pod < k; pod++) {
+        aggIds[pod] = [];
+        for (let i = 0; i < half; i++) {
+            const nodeId = idCounter++;
+            nodes.push({ id: nodeId, tier: 'aggregation', pod: pod, index: i });
+            aggIds[pod].push(nodeId);
         }
+    }
+    for (let pod = 0; pod < k; pod++) {
+        edgeIds[pod] = [];
+        for (let i = 0; i < half; i++) {
+            const nodeId = idCounter++;
+            nodes.push({ id: nodeId, tier: 'edge', pod: pod, index: i });
+            edgeIds[pod].push(nodeId);
+        }
+    }
 
-        // Update overall maximum distance found so far (Diameter)
-        maxDistance = Math.max(maxDistance, currentMax);
+    // Each edge switch serves k/2 hosts (k^3/4 hosts in total)
+    for (let pod = 0; pod < k; pod++) {
+        for (let i = 0; i < half; i++) {
+            for (let h = 0; h < half; h++) {
+                const nodeId = idCounter++;
+                nodes.push({ id: nodeId, tier: 'host', pod: pod, index: i * half + h });
+                edges.push({ source: edgeIds[pod][i], target: nodeId });
+            }
+        }
     }
 
-    // Determine final Diameter and ASPL
-    const diameter = isConnected ? maxDistance : Infinity;
+    // --- Generate Edges ---
+    for (let pod = 0; pod < k; pod++) {
+        // Complete bipartite connection between aggregation and edge layers inside a pod
+        for (let a = 0; a < half; a++) {
+            for (let e = 0; e < half; e++) {
+                edges.push({ source: aggIds[pod][a], target: edgeIds[pod][e] });
+            }
+        }
+        // Aggregation switch i of every pod connects to core group i
+        for (let a = 0; a < half; a++) {
+            for (let c = 0; c < half; c++) {
+                edges.push({ source: coreIds[a * half + c], target: aggIds[pod][a] });
+            }
+        }
+    }
 
-    // Calculate ASPL only if connected and pairs exist
-    const avgPathLength = (isConnected && reachablePairsCount > 0)
-        ? (totalPathLengthSum / reachablePairsCount) // Sum included A->B and B->A, Count included A->B and B->A
-        : Infinity;
+    return { nodes, edges };
+}
 
-    // For undirected graphs, the sum and count are doubled (A->B and B->A are both counted).
-    // The division totalPathLengthSum / reachablePairsCount correctly gives the average.
+// Group reached by global port `port` of group `group` (ports are numbered router-major: port = router * h + link)
+function dragonflyGlobalTarget(group, port, groups, arrangement) {
+    if (arrangement === 'relative') {
+        // Port i always jumps i + 1 groups ahead
+        return (group + port + 1) % groups;
+    } else if (arrangement === 'circulant') {
+        // Ports alternate between +offset and -offset: +1, -1, +2, -2, ...
+        const offset = Math.floor(port / 2) + 1;
+        return port % 2 === 0 ? (group + offset) % groups : (group - offset + groups) % groups;
+    }
+    // Absolute (consecutive): port i goes to group i, skipping the group itself
+    return port < group ? port : port + 1;
+}
 
-    return {
-        diameter: diameter,
-        // Format ASPL to a reasonable number of decimal places
-        avgPathLength: avgPathLength === Infinity ? Infinity : parseFloat(avgPathLength.toFixed(3)),
-        isConnected: isConnected
+function generateDragonfly(p, a, h, arrangement = 'absolute') {
+    const nodes = [];
+    const edges = [];
+    if (a < 1 || h < 1) return { nodes, edges };
+    if (p < 0) p = 0;
+
+    // Balanced dragonfly: every group has a direct global link to every other group
+    const groups = a * h + 1;
+    const routerId = (group, router) => group * a + router;
+
+    // --- Generate Nodes ---
+    // Routers first (group-major), then their terminals
+    for (let g = 0; g < groups; g++) {
+        for (let r = 0; r < a; r++) {
+            nodes.push({ id: routerId(g, r), role: 'router', group: g, router: r });
+        }
+    }
+    let idCounter = groups * a;
+    for (let g = 0; g < groups; g++) {
+        for (let r = 0; r < a; r++) {
+            for (let t = 0; t < p; t++) {
+                const nodeId = idCounter++;
+                nodes.push({ id: nodeId, role: 'terminal', group: g, router: r, index: t });
+                edges.push({ source: routerId(g, r), target: nodeId });
+            }
+        }
+    }
+
+    // --- Local Links: routers inside a group form a complete graph ---
+    for (let g = 0; g < groups; g++) {
+        for (let r1 = 0; r1 < a; r1++) {
+            for (let r2 = r1 + 1; r2 < a; r2++) {
+                edges.push({ source: routerId(g, r1), target: routerId(g, r2) });
+            }
+        }
+    }
+
+    // --- Global Links ---
+    // portTo[g] maps a destination group to the global port of group g that reaches it
+    const portTo = [];
+    for (let g = 0; g < groups; g++) {
+        portTo[g] = new Map();
+        for (let port = 0; port < a * h; port++) {
+            portTo[g].set(dragonflyGlobalTarget(g, port, groups, arrangement), port);
+        }
+    }
+    for (let g = 0; g < groups; g++) {
+        for (let port = 0; port < a * h; port++) {
+            const targetGroup = dragonflyGlobalTarget(g, port, groups, arrangement);
+            if (targetGroup <= g) continue; // Each link is added once, from the lower group
+            const targetPort = portTo[targetGroup].get(g);
+            edges.push({
+                source: routerId(g, Math.floor(port / h)),
+                target: routerId(targetGroup, Math.floor(targetPort / h)),
+                global: true
+            });
+        }
+    }
+
+    return { nodes, edges };
+}
+
+// --- Random Topology Generators ---
+// All random generators take a seed so the same seed always reproduces the same graph.
+
+// Seeded PRNG (mulberry32): returns a function producing floats in [0, 1)
+function createSeededRandom(seed) {
+    let state = (seed >>> 0) || 0x9e3779b9; // Avoid the all-zero state
+    return function () {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     };
 }
 
+// Erdős–Rényi G(n, p): every pair of nodes is linked independently with probability p
+function generateErdosRenyi(n, p, seed) {
+    const nodes = [];
+    const edges = [];
+    const random = createSeededRandom(seed);
+    p = Math.max(0, Math.min(1, p));
 
-// --- BFS Helper function (remains the same) ---
-function bfs(startNodeId, adj, allNodes) {
-    const distances = new Map();
-    const predecessors = new Map(); // To store path predecessors
-    allNodes.forEach(node => {
-        distances.set(node.id, Infinity);
-        predecessors.set(node.id, null); // Initialize predecessors
-    });
-    const queue = [];
+    for (let i = 0; i < n; i++) {
+        nodes.push({ id: i });
+    }
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            if (random() < p) {
+                edges.push({ source: i, target: j });
+            }
+        }
+    }
+    return { nodes, edges };
+}
 
-    distances.set(startNodeId, 0);
-    queue.push(startNodeId);
+// Uniform-ish random d-regular graph (Steger–Wormald pairing: repeatedly join two random
+// free "stubs" that don't form a self-loop or a duplicate edge, restarting if stuck)
+function generateRandomRegular(n, d, seed) {
+    const nodes = [];
+    let edges = [];
+    const random = createSeededRandom(seed);
 
-    let head = 0;
-    while (head < queue.length) {
-        const u = queue[head++];
-        const neighbors = adj.get(u) || [];
+    if (d >= n) {
+        console.warn(`Degree ${d} needs more than ${n} nodes. Using d=${n - 1}.`);
+        d = n - 1;
+    }
+    if ((n * d) % 2 !== 0) {
+        // n*d stubs must pair up exactly
+        console.warn(`n*d must be even for a ${d}-regular graph. Using n=${n + 1}.`);
+        n = n + 1;
+    }
+    for (let i = 0; i < n; i++) {
+        nodes.push({ id: i });
+    }
+    if (d <= 0) return { nodes, edges };
 
-        for (const v of neighbors) {
-            if (distances.get(v) === Infinity) {
-                distances.set(v, distances.get(u) + 1);
-                predecessors.set(v, u); // Set predecessor for path reconstruction
-                queue.push(v);
+    const maxAttempts = 100;
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const stubs = [];
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < d; j++) stubs.push(i);
+        }
+        const addedEdges = new Set();
+        edges = [];
+        let stuck = false;
+
+        while (stubs.length > 0 && !stuck) {
+            // Try random pairs first, then fall back to a full scan to detect a dead end
+            let pair = null;
+            for (let tries = 0; tries < 50 && !pair; tries++) {
+                const a = Math.floor(random() * stubs.length);
+                const b = Math.floor(random() * stubs.length);
+                const u = stubs[a], v = stubs[b];
+                if (u !== v && !addedEdges.has(`${Math.min(u, v)}-${Math.max(u, v)}`)) pair = [a, b];
             }
+            for (let a = 0; a < stubs.length && !pair; a++) {
+                for (let b = a + 1; b < stubs.length && !pair; b++) {
+                    const u = stubs[a], v = stubs[b];
+                    if (u !== v && !addedEdges.has(`${Math.min(u, v)}-${Math.max(u, v)}`)) pair = [a, b];
+                }
+            }
+            if (!pair) {
+                stuck = true;
+                break;
+            }
+            const u = stubs[pair[0]], v = stubs[pair[1]];
+            edges.push({ source: u, target: v });
+            addedEdges.add(`${Math.min(u, v)}-${Math.max(u, v)}`);
+            // Remove the higher index first so the lower one stays valid
+            stubs.splice(Math.max(pair[0], pair[1]), 1);
+            stubs.splice(Math.min(pair[0], pair[1]), 1);
         }
+        if (!stuck) return { nodes, edges };
     }
-    return { distances, predecessors };
+
+    console.warn(`Could not build a simple ${d}-regular graph on ${n} nodes after ${maxAttempts} attempts.`);
+    return { nodes, edges };
 }
 
+// Watts–Strogatz small world: a ring lattice where each node links to its k nearest
+// neighbors (k/2 per side), then each lattice edge is rewired with probability beta
+function generateWattsStrogatz(n, k, beta, seed) {
+    const nodes = [];
+    const edges = [];
+    const random = createSeededRandom(seed);
+    beta = Math.max(0, Math.min(1, beta));
 
-// --- Visualization Functions ---
-function clearVisualization() {
-    clearHighlights();
-    nodeMeshes.forEach(mesh => {
-        scene.remove(mesh);
-        mesh.geometry.dispose();
-        // Material is shared, dispose only once if needed, or manage carefully
-    });
-    edgeMeshes.forEach(line => {
-        scene.remove(line);
-        line.geometry.dispose();
-        // Material is shared
-    });
-    nodeMeshes = [];
-    edgeMeshes = [];
-    // Dispose shared materials if they are no longer needed by any object
-    // NODE_MATERIAL.dispose();
-    // EDGE_MATERIAL.dispose();
-}
+    if (k % 2 !== 0) {
+        console.warn(`Watts–Strogatz k=${k} must be even. Using k=${k - 1}.`);
+        k = k - 1;
+    }
+    k = Math.min(k, n - 1 - ((n - 1) % 2)); // At most n-1 neighbors, kept even
 
-// --- Highlighting and Path Finding ---
+    for (let i = 0; i < n; i++) {
+        nodes.push({ id: i });
+    }
 
-function clearHighlights() {
-    // --- Cancel pending animations ---
-    activeHighlightTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
-    activeHighlightTimeouts = []; // Clear the array
+    const addedEdges = new Set();
+    const edgeKey = (u, v) => `${Math.min(u, v)}-${Math.max(u, v)}`;
+    const lattice = [];
+    for (let i = 0; i < n; i++) {
+        for (let j = 1; j <= k / 2; j++) {
+            lattice.push([i, (i + j) % n]);
+            addedEdges.add(edgeKey(i, (i + j) % n));
+        }
+    }
 
-    // Reset node materials
-    highlightedElements.nodes.forEach(mesh => {
-        // Ensure mesh still exists and hasn't been disposed
-        if (mesh && mesh.material) {
-            mesh.material = ORIGINAL_NODE_MATERIAL;
+    lattice.forEach(([u, v]) => {
+        if (random() < beta) {
+            // Rewire the far end to a random node, avoiding self-loops and duplicates
+            const candidates = [];
+            for (let w = 0; w < n; w++) {
+                if (w !== u && !addedEdges.has(edgeKey(u, w))) candidates.push(w);
+            }
+            if (candidates.length > 0) {
+                const w = candidates[Math.floor(random() * candidates.length)];
+                addedEdges.delete(edgeKey(u, v));
+                addedEdges.add(edgeKey(u, w));
+                edges.push({ source: u, target: w });
+                return;
+            }
         }
+        edges.push({ source: u, target: v });
     });
 
-    // Reset edge materials/colors
-    highlightedElements.edges.forEach(line => {
-        line.material = ORIGINAL_EDGE_MATERIAL; // Reset to original material
-    });
+    return { nodes, edges };
+}
 
-    highlightedElements = { nodes: [], edges: [] }; // Clear the tracking arrays
-    clearActiveLightningBolts(); // Clear active lightning bolts
+// --- Graph Import ---
+// Every parser maps the file's node identifiers to ids 0..n-1 (the original identifier is kept as
+// `label`) and returns the same { nodes, edges } shape as the generators. Parse errors are thrown
+// as Errors with a message that is shown in the UI.
+
+function parseGraphFile(text, fileName = '', format = 'auto') {
+    if (format === 'auto' || !format) {
+        format = detectGraphFormat(text, fileName);
+    }
+    let graph;
+    if (format === 'json') {
+        graph = parseJSONGraph(text);
+    } else if (format === 'graphml') {
+        graph = parseGraphML(text);
+    } else if (format === 'dot') {
+        graph = parseDOT(text);
+    } else {
+        graph = parseEdgeList(text);
+    }
+
+    if (graph.nodes.length === 0) {
+        throw new Error('The file does not contain any nodes.');
+    }
+    if (graph.nodes.length > IMPORT_MAX_NODES) {
+        throw new Error(`Graph has ${graph.nodes.length} nodes; at most ${IMPORT_MAX_NODES} are supported.`);
+    }
+    return graph;
 }
 
-function reconstructPath(source, target, predecessors) {
-    const path = [target];
-    let current = target;
-    let safety = 0; // Prevent infinite loops in case of error
-    const maxPathLength = predecessors.size;
+function detectGraphFormat(text, fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'graphml' || extension === 'xml') return 'graphml';
+    if (extension === 'dot' || extension === 'gv') return 'dot';
+
+    const start = text.trimStart();
+    if (start.startsWith('{') || start.startsWith('[')) return 'json';
+    if (start.startsWith('<')) return 'graphml';
+    if (/^(strict\s+)?(di)?graph\b/i.test(start)) return 'dot';
+    return 'edgelist';
+}
 
-    while (current !== source && safety < maxPathLength) {
-        const prev = predecessors.get(current);
-        if (prev === null || prev === undefined) {
-            console.error(`Error reconstructing path: No predecessor found for node ${current}`);
-            return null; // Path reconstruction failed
+// Collects nodes/edges while parsing: maps labels to ids, drops self-loops and duplicate edges
+function createGraphBuilder() {
+    const nodes = [];
+    const edges = [];
+    const idByLabel = new Map();
+    const addedEdges = new Set();
+
+    function addNode(label, attributes = {}) {
+        label = String(label);
+        if (attributes.label !== undefined) {
+            // `label` holds the node's identifier in the file; a label attribute is kept separately
+            attributes = Object.assign({}, attributes, { displayLabel: attributes.label });
+            delete attributes.label;
         }
-        path.unshift(prev);
-        current = prev;
-        safety++;
+        if (idByLabel.has(label)) {
+            // Later declarations may add attributes (e.g. DOT node statements after edges)
+            Object.assign(nodes[idByLabel.get(label)], attributes, { id: idByLabel.get(label), label: label });
+            return idByLabel.get(label);
+        }
+        const id = nodes.length;
+        nodes.push(Object.assign({}, attributes, { id: id, label: label }));
+        idByLabel.set(label, id);
+        return id;
     }
 
-    if (current !== source) {
-        console.error(`Error reconstructing path: Loop detected or source not reached.`);
-        return null;
+    function addEdge(sourceLabel, targetLabel) {
+        const u = addNode(sourceLabel);
+        const v = addNode(targetLabel);
+        const edgeKey = `${Math.min(u, v)}-${Math.max(u, v)}`;
+        if (u === v || addedEdges.has(edgeKey)) return; // Metrics assume a simple graph
+        edges.push({ source: u, target: v });
+        addedEdges.add(edgeKey);
     }
 
-    return path; // Array of node IDs from source to target
+    function hasNode(label) {
+        return idByLabel.has(String(label));
+    }
+
+    return { addNode, addEdge, hasNode, graph: () => ({ nodes, edges }) };
 }
 
-function createProgressiveLightningBolt(source, target, duration = 1000, isPersistent = false) {
-    // Validate inputs
-    if (!source || !target || 
-        !(source instanceof THREE.Vector3) || 
-        !(target instanceof THREE.Vector3)) {
-        console.error('Invalid source or target vectors for lightning bolt', { source, target });
-        return null; // Return null instead of creating an invalid bolt
-    }
-    
-    const group = new THREE.Group();
-    activeLightningBolts.push(group);
+// Plain edge list: one "source target" pair per line (space, tab or comma separated), optionally
+// followed by a numeric weight (ignored). A "source,target,..." header, as written by the CSV export,
+// names further columns, which are ignored too. A line with a single token declares an isolated
+// node; '#' and '%' start comments. Anything else (e.g. a binary file) is rejected with its line.
+function parseEdgeList(text) {
+    const builder = createGraphBuilder();
+    let headerColumns = 0; // Columns named by the header line, if there is one
+    text.split(/\r?\n/).forEach((rawLine, i) => {
+        if (/[\x00-\x08\x0e-\x1f\x7f]/.test(rawLine)) {
+            throw new Error(`Line ${i + 1} contains control characters; this doesn't look like a text edge list.`);
+        }
+        const line = rawLine.replace(/[#%].*$/, '').trim();
+        if (line === '') return;
+        const tokens = line.split(/[\s,;]+/).filter(token => token !== '');
+        if (tokens[0] === 'source' && tokens[1] === 'target') {
+            headerColumns = tokens.length;
+            return;
+        }
+        const valid = headerColumns > 0
+            ? tokens.length <= headerColumns
+            : tokens.length <= 2 || (tokens.length === 3 && !isNaN(Number(tokens[2])));
+        if (!valid) {
+            const shown = line.length > 40 ? `${line.slice(0, 40)}…` : line;
+            throw new Error(`Line ${i + 1}: expected "source target" or "source target weight", got "${shown}".`);
+        }
+        if (tokens.length === 1) {
+            builder.addNode(tokens[0]);
+        } else {
+            builder.addEdge(tokens[0], tokens[1]);
+        }
+    });
+    return builder.graph();
+}
 
-    const rayCount = 5; // Number of rays per lightning bolt
-    const bolts = [];
+// JSON: { "nodes": [...], "edges": [...] }. Nodes may be ids or objects with an "id" (other
+// fields are kept as node attributes); edges may be [source, target] pairs or objects with
+// "source"/"target". "links" (d3 style) is accepted as an alias for "edges".
+function parseJSONGraph(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON (${error.message}).`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Expected a JSON object with "nodes" and "edges" arrays.');
+    }
+    const nodeList = data.nodes || [];
+    const edgeList = data.edges || data.links;
+    if (!Array.isArray(nodeList) || !Array.isArray(edgeList)) {
+        throw new Error('Expected a JSON object with "nodes" and "edges" arrays.');
+    }
 
-    // Define parameters for progression
-    const progressionDuration = 500; // Time to travel from source to target (ms)
-    const progressionStartDelay = 100; // Slight delay before starting (ms)
+    const builder = createGraphBuilder();
+    nodeList.forEach((node, i) => {
+        if (node !== null && typeof node === 'object') {
+            if (node.id === undefined) throw new Error(`Node ${i} has no "id".`);
+            const attributes = Object.assign({}, node);
+            delete attributes.id;
+            builder.addNode(node.id, attributes);
+        } else if (typeof node === 'string' || typeof node === 'number') {
+            builder.addNode(node);
+        } else {
+            throw new Error(`Node ${i} must be an id or an object with an "id".`);
+        }
+    });
+    edgeList.forEach((edge, i) => {
+        const [source, target] = Array.isArray(edge) ? edge : [edge?.source, edge?.target];
+        if (source === undefined || source === null || target === undefined || target === null) {
+            throw new Error(`Edge ${i} needs a source and a target.`);
+        }
+        // d3 replaces ids with node objects after a simulation has run
+        builder.addEdge(typeof source === 'object' ? source.id : source, typeof target === 'object' ? target.id : target);
+    });
+    return builder.graph();
+}
 
-    for (let i = 0; i < rayCount; i++) {
-        // Create material with energy-like properties - Use Greenish base
-        const boltMaterial = new THREE.MeshStandardMaterial({
-            color: 0x99ff99, // Match path node color
-            transparent: true,
-            opacity: 0.7,
-            emissive: 0xccffcc, // Lighter green emissive
-            emissiveIntensity: 2.0,
-            side: THREE.DoubleSide
-        });
+// GraphML: <node id> and <edge source target> elements; <data> values become node attributes
+// named after their <key attr.name> (numbers are converted)
+function parseGraphML(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const parseError = doc.getElementsByTagName('parsererror')[0];
+    if (parseError) {
+        throw new Error(`Invalid XML (${parseError.textContent.trim().split('\n')[0]}).`);
+    }
+    if (doc.getElementsByTagName('graph').length === 0) {
+        throw new Error('No <graph> element found.');
+    }
 
-        // Initially create an empty bolt
-        const emptyGeometry = new THREE.BufferGeometry();
-        const bolt = new THREE.Mesh(emptyGeometry, boltMaterial);
-        bolt.layers.enable(1); // Enable bloom layer
-        group.add(bolt);
+    const keyNames = new Map();
+    Array.from(doc.getElementsByTagName('key')).forEach(key => {
+        keyNames.set(key.getAttribute('id'), key.getAttribute('attr.name') || key.getAttribute('id'));
+    });
 
-        // Store references to the bolt components
-        bolts.push({
-            bolt: bolt,
-            boltGeometry: emptyGeometry,
-            boltMaterial: boltMaterial,
-            progress: 0, // Track progress from 0-1
-            // Add slight variation in progression timing per bolt
-            progressionSpeed: 1.0 + (Math.random() * 0.4 - 0.2) // 0.8-1.2x speed variation
+    const builder = createGraphBuilder();
+    Array.from(doc.getElementsByTagName('node')).forEach((node, i) => {
+        const id = node.getAttribute('id');
+        if (id === null) throw new Error(`<node> ${i} has no id attribute.`);
+        const attributes = {};
+        Array.from(node.getElementsByTagName('data')).forEach(data => {
+            const name = keyNames.get(data.getAttribute('key')) || data.getAttribute('key');
+            const value = data.textContent.trim();
+            attributes[name] = value !== '' && !isNaN(Number(value)) ? Number(value) : value;
         });
+        delete attributes.id;
+        builder.addNode(id, attributes);
+    });
+    Array.from(doc.getElementsByTagName('edge')).forEach((edge, i) => {
+        const source = edge.getAttribute('source');
+        const target = edge.getAttribute('target');
+        if (source === null || target === null) {
+            throw new Error(`<edge> ${i} needs source and target attributes.`);
+        }
+        builder.addEdge(source, target);
+    });
+    return builder.graph();
+}
+
+// DOT subset: node statements, edge chains (a -- b -- c, or -> which is treated as undirected)
+// and attribute lists. Node "label" and "pos" ("x,y") attributes are kept; subgraph braces are
+// flattened; graph/node/edge default statements and other attributes are ignored.
+function parseDOT(text) {
+    // Tokenize: quoted strings, edge operators, punctuation and bare identifiers/numbers
+    const source = text
+        .replace(/\/\*[\s\S]*?\*\//g, ' ')
+        .replace(/(^|\n)\s*#[^\n]*/g, '\n')
+        .replace(/\/\/[^\n]*/g, ' ');
+    const tokens = [];
+    const tokenPattern = /\s*("(?:[^"\\]|\\.)*"|--|->|[{}\[\];,=:]|-?[^\s{}\[\];,=:"-]+(?:-[^\s{}\[\];,=:"\->]+)*)/y;
+    let position = 0;
+    while (position < source.length) {
+        tokenPattern.lastIndex = position;
+        const match = tokenPattern.exec(source);
+        if (!match) {
+            if (source.slice(position).trim() === '') break;
+            throw new Error(`Unexpected character "${source.slice(position).trim()[0]}".`);
+        }
+        tokens.push(match[1]);
+        position = tokenPattern.lastIndex;
     }
 
-    scene.add(group);
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const unquote = token => token.startsWith('"') ? token.slice(1, -1).replace(/\\"/g, '"') : token;
+    const expect = token => {
+        if (next() !== token) throw new Error(`Expected "${token}" near token ${index}.`);
+    };
 
-    // Animate the lightning bolts
-    const startTime = performance.now();
-    let lastUpdateTime = startTime;
-    const updateInterval = 16; // ~60fps
+    if (/^strict$/i.test(peek())) next();
+    const graphKind = next();
+    if (!/^(di)?graph$/i.test(graphKind || '')) {
+        throw new Error('A DOT file must start with "graph" or "digraph".');
+    }
+    if (peek() !== '{') next(); // Optional graph name
+    expect('{');
+
+    // [a=1, b="x"; c=2] -> { a: '1', b: 'x', c: '2' }
+    const readAttributes = () => {
+        const attributes = {};
+        while (peek() === '[') {
+            next();
+            while (peek() !== ']') {
+                if (peek() === undefined) throw new Error('Unterminated attribute list.');
+                const key = unquote(next());
+                if (peek() === '=') {
+                    next();
+                    attributes[key] = unquote(next());
+                }
+                if (peek() === ',' || peek() === ';') next();
+            }
+            next(); // ']'
+        }
+        return attributes;
+    };
 
-    // Keep track if this bolt's animation loop should continue
-    let continueAnimation = true;
+    const builder = createGraphBuilder();
+    let depth = 1;
+    while (depth > 0) {
+        const token = next();
+        if (token === undefined) throw new Error('Missing closing "}".');
+        if (token === '}') { depth--; continue; }
+        if (token === '{') { depth++; continue; }
+        if (token === ';' || token === ',') continue;
+        if (/^subgraph$/i.test(token)) {
+            if (peek() !== '{') next(); // Subgraph name
+            continue;
+        }
+        if (/^(graph|node|edge)$/i.test(token) && peek() === '[') {
+            readAttributes(); // Defaults are not needed for topology
+            continue;
+        }
+        if (peek() === '=') {
+            next(); next(); // Graph attribute like rankdir=LR
+            continue;
+        }
+        if (/^[\[\]=]$/.test(token) || token === '--' || token === '->') {
+            throw new Error(`Unexpected "${token}" near token ${index}.`);
+        }
 
-    function animateBolts() {
-        // *** ADD CHECK: Stop if the group is no longer active or told to stop ***
-        if (!continueAnimation || !activeLightningBolts.includes(group)) {
-            // Ensure resources are cleaned up if removed externally
-            if (!scene.children.includes(group)) { // Check if already removed
-                 bolts.forEach(({ bolt, boltGeometry, boltMaterial }) => {
-                    // Check if geometry/material still exist before disposing
-                    if (boltGeometry) boltGeometry.dispose();
-                    if (boltMaterial) boltMaterial.dispose();
-                });
-            }
-            // Ensure group is removed if it wasn't already
-            else {
-                scene.remove(group);
+        // Node or edge statement starting with an id (ports like a:n are reduced to the node id)
+        const chain = [unquote(token)];
+        if (peek() === ':') { next(); next(); }
+        while (peek() === '--' || peek() === '->') {
+            next();
+            const target = next();
+            if (target === undefined || /^[{}\[\];,=]$/.test(target)) {
+                throw new Error(`Edge from "${chain[chain.length - 1]}" has no target.`);
             }
-            // Ensure it's removed from the tracking array if somehow still present
-            const index = activeLightningBolts.indexOf(group);
-            if (index > -1) {
-                activeLightningBolts.splice(index, 1);
+            chain.push(unquote(target));
+            if (peek() === ':') { next(); next(); }
+        }
+        const attributes = readAttributes();
+        if (chain.length === 1) {
+            const nodeAttributes = {};
+            if (attributes.label !== undefined) nodeAttributes.label = attributes.label;
+            if (attributes.pos !== undefined) {
+                const [x, y] = attributes.pos.replace('!', '').split(',').map(Number);
+                if (!isNaN(x) && !isNaN(y)) Object.assign(nodeAttributes, { x: x, y: y });
             }
-            return; // Stop the animation loop
+            builder.addNode(chain[0], nodeAttributes);
+        } else {
+            for (let i = 1; i < chain.length; i++) builder.addEdge(chain[i - 1], chain[i]);
         }
+    }
+    return builder.graph();
+}
 
-        try {
-            const currentTime = performance.now();
-            const elapsedTime = currentTime - startTime;
-            const timeSinceLastUpdate = currentTime - lastUpdateTime;
-
-            // For non-persistent bolts, signal to stop after duration
-            if (!isPersistent && elapsedTime > duration) {
-                // Set flag to stop animation on the next frame check
-                continueAnimation = false;
-                // Don't remove from scene/array here, let the check at the top handle it
-            }
+// --- Graph Export ---
+// Exports write the current graphData with all node/edge attributes, the node positions from
+// nodeMeshMap (x, y, z) and the computed metrics as a metadata block.
 
-            // Only update the bolts every updateInterval milliseconds
-            if (timeSinceLastUpdate > updateInterval) {
-                lastUpdateTime = currentTime;
+function exportGraph(format) {
+    if (graphData.nodes.length === 0) {
+        showError('Nothing to export: the current graph is empty.');
+        return;
+    }
+    const data = collectExportData();
+    const baseName = `${currentTopology.type || 'graph'}-${graphData.nodes.length}nodes`;
+    if (format === 'json') {
+        downloadFile(`${baseName}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } else if (format === 'csv') {
+        downloadFile(`${baseName}.csv`, graphToCSV(data), 'text/csv');
+    } else if (format === 'graphml') {
+        downloadFile(`${baseName}.graphml`, graphToGraphML(data), 'application/xml');
+    } else if (format === 'dot') {
+        downloadFile(`${baseName}.dot`, graphToDOT(data), 'text/vnd.graphviz');
+    }
+}
 
-                // Update each bolt individually
-                for (let i = 0; i < bolts.length; i++) {
-                    const bolt = bolts[i];
+// Plain-object snapshot of the current graph, layout and metrics
+function collectExportData() {
+    const metrics = {};
+    Object.entries(currentMetrics || {}).forEach(([key, value]) => {
+        // Infinity (disconnected) has no JSON representation
+        if (key !== 'perNode') metrics[key] = value === Infinity ? null : value;
+    });
+    const perNode = currentMetrics?.perNode || {};
+    // Metrics were computed on the surviving graph, which lacks any failed nodes
+    const metricIndex = getMetricIndex();
+
+    const nodes = graphData.nodes.map(node => {
+        const exported = Object.assign({}, node);
+        const i = metricIndex.get(node.id);
+        // Per-node metrics (eccentricity, closeness, betweenness) become node attributes
+        Object.entries(perNode).forEach(([key, values]) => {
+            if (i !== undefined && values[i] !== undefined) exported[key] = values[i] === Infinity ? null : values[i];
+        });
+        if (failedNodes.has(node.id)) exported.failed = true;
+        const mesh = nodeMeshMap.get(node.id);
+        if (mesh) {
+            exported.x = parseFloat(mesh.position.x.toFixed(4));
+            exported.y = parseFloat(mesh.position.y.toFixed(4));
+            exported.z = parseFloat(mesh.position.z.toFixed(4));
+        }
+        return exported;
+    });
+    const edges = graphData.edges.map(edge => {
+        const exported = Object.assign({}, edge);
+        if (isEdgeFailed(edge.source, edge.target)) exported.failed = true;
+        if (trafficResult) exported.load = parseFloat((trafficResult.linkLoads.get(getEdgeKey(edge.source, edge.target)) || 0).toFixed(4));
+        return exported;
+    });
 
-                    try {
-                        // Calculate progression based on elapsed time
-                        if (elapsedTime > progressionStartDelay) {
-                            const progressionTime = elapsedTime - progressionStartDelay;
+    return {
+        metadata: {
+            topology: currentTopology.type,
+            parameters: currentTopology.params,
+            use3DLayout: currentTopology.use3DLayout,
+            edited: currentTopology.edited,
+            nodeCount: nodes.length,
+            edgeCount: edges.length,
+            failedNodes: failedNodes.size,
+            failedEdges: failedEdges.size,
+            metrics: metrics,
+            exportedAt: new Date().toISOString()
+        },
+        nodes: nodes,
+        edges: edges
+    };
+}
 
-                            // If this is a repeating bolt (persistent or we're within duration)
-                            if (isPersistent || progressionTime < duration) {
-                                // Calculate cycle time (for repeating bolts)
-                                const cycleTime = progressionTime % (progressionDuration + 200);
+// Flat "key: value" metadata lines shared by the text formats (nested values as JSON)
+function exportMetadataEntries(metadata) {
+    const entries = [];
+    Object.entries(metadata).forEach(([key, value]) => {
+        if (key === 'metrics') {
+            Object.entries(value).forEach(([metric, metricValue]) => {
+                if (metricValue === null || typeof metricValue !== 'object') entries.push([metric, metricValue]);
+            });
+        } else {
+            entries.push([key, value !== null && typeof value === 'object' ? JSON.stringify(value) : value]);
+        }
+    });
+    return entries;
+}
 
-                                if (cycleTime <= progressionDuration) {
-                                    // During progression phase
-                                    bolt.progress = (cycleTime / progressionDuration) * bolt.progressionSpeed;
-                                    bolt.progress = Math.min(bolt.progress, 1.0); // Clamp to 1.0
-                                } else {
-                                    // Reset phase (brief pause before next bolt)
-                                    bolt.progress = 0;
-                                    // Generate new bolt parameters for variety
-                                    bolt.progressionSpeed = 1.0 + (Math.random() * 0.4 - 0.2);
-                                }
-                            }
-                        }
+// Attribute names used by any node/edge, excluding the structural ones
+function collectAttributeNames(items, excluded) {
+    const names = new Set();
+    items.forEach(item => Object.keys(item).forEach(key => {
+        if (!excluded.includes(key)) names.add(key);
+    }));
+    return [...names];
+}
 
-                        // Remove old geometry
-                        group.remove(bolt.bolt);
-                        bolt.boltGeometry.dispose();
+// Arrays (e.g. n-cube coords) are written as "1,2,3"
+function formatAttributeValue(value) {
+    if (Array.isArray(value)) return value.join(',');
+    if (value === null || value === undefined) return '';
+    return String(value);
+}
 
-                        // Generate complete path
-                        const fullPath = generateLightningPath(source, target);
+function graphToCSV(data) {
+    const csvField = value => {
+        const text = formatAttributeValue(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = exportMetadataEntries(data.metadata).map(([key, value]) => `# ${key}: ${value}`);
+    const edgeAttributes = collectAttributeNames(data.edges, ['source', 'target']);
+    lines.push(['source', 'target', ...edgeAttributes].join(','));
+    data.edges.forEach(edge => {
+        lines.push([edge.source, edge.target, ...edgeAttributes.map(name => edge[name])].map(csvField).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
 
-                        // Create partial path based on progress
-                        let visiblePath;
-                        if (bolt.progress <= 0) {
-                            // At the beginning, just show a point
-                            visiblePath = [fullPath[0]];
-                        } else if (bolt.progress >= 1) {
-                            // At the end, show full path
-                            visiblePath = fullPath;
-                        } else {
-                            // During progression, show partial path
-                            const endIndex = Math.floor(fullPath.length * bolt.progress);
-                            visiblePath = fullPath.slice(0, endIndex + 1);
-                        }
+function graphToGraphML(data) {
+    const escapeXML = value => formatAttributeValue(value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const attributeType = (items, name) => {
+        const values = items.map(item => item[name]).filter(value => value !== undefined && value !== null);
+        if (values.length === 0) return 'string'; // Only missing values (e.g. diameter of a disconnected graph)
+        if (values.every(value => typeof value === 'boolean')) return 'boolean';
+        if (values.every(value => Number.isInteger(value))) return 'int';
+        if (values.every(value => typeof value === 'number')) return 'double';
+        return 'string';
+    };
 
-                        // Make sure we have at least 2 points for the curve
-                        if (visiblePath.length < 2) {
-                            if (visiblePath.length === 1) {
-                                // If we only have one point, duplicate it slightly offset
-                                const p = visiblePath[0].clone();
-                                p.x += 0.01;
-                                p.y += 0.01;
-                                p.z += 0.01;
-                                visiblePath.push(p);
-                            } else {
-                                // If we have no points, use source and target
-                                visiblePath = [source.clone(), target.clone()];
-                            }
-                        }
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+    ];
+    const metadata = exportMetadataEntries(data.metadata);
+    metadata.forEach(([key, value], i) => {
+        const type = attributeType([{ value: value }], 'value');
+        lines.push(`  <key id="g${i}" for="graph" attr.name="${escapeXML(key)}" attr.type="${type}"/>`);
+    });
+    const nodeAttributes = collectAttributeNames(data.nodes, ['id']);
+    nodeAttributes.forEach((name, i) => {
+        lines.push(`  <key id="n${i}" for="node" attr.name="${escapeXML(name)}" attr.type="${attributeType(data.nodes, name)}"/>`);
+    });
+    const edgeAttributes = collectAttributeNames(data.edges, ['source', 'target']);
+    edgeAttributes.forEach((name, i) => {
+        lines.push(`  <key id="e${i}" for="edge" attr.name="${escapeXML(name)}" attr.type="${attributeType(data.edges, name)}"/>`);
+    });
 
-                        // Create curve from visible path
-                        const curve = new THREE.CatmullRomCurve3(visiblePath);
+    lines.push('  <graph id="G" edgedefault="undirected">');
+    metadata.forEach(([, value], i) => {
+        if (value !== null && value !== undefined) lines.push(`    <data key="g${i}">${escapeXML(value)}</data>`);
+    });
+    data.nodes.forEach(node => {
+        lines.push(`    <node id="${node.id}">`);
+        nodeAttributes.forEach((name, i) => {
+            if (node[name] !== undefined) lines.push(`      <data key="n${i}">${escapeXML(node[name])}</data>`);
+        });
+        lines.push('    </node>');
+    });
+    data.edges.forEach(edge => {
+        const attributes = edgeAttributes
+            .map((name, i) => edge[name] !== undefined ? `<data key="e${i}">${escapeXML(edge[name])}</data>` : '')
+            .join('');
+        lines.push(`    <edge source="${edge.source}" target="${edge.target}">${attributes}</edge>`);
+    });
+    lines.push('  </graph>', '</graphml>');
+    return lines.join('\n') + '\n';
+}
 
-                        // Create new geometry based on progress
-                        let newGeometry;
-                        try {
-                            newGeometry = new THREE.TubeGeometry(
-                                curve,
-                                64,  // tubularSegments
-                                0.05 + Math.random() * 0.1, // radius variation
-                                8,   // radiusSegments
-                                false // closed
-                            );
-                        } catch (error) {
-                            console.warn('Error creating tube geometry:', error);
-                            // Fallback to simple line geometry if tube fails
-                            newGeometry = new THREE.BufferGeometry().setFromPoints(visiblePath);
-                        }
+function graphToDOT(data) {
+    const quote = value => `"${formatAttributeValue(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const attributeList = (item, excluded) => Object.entries(item)
+        .filter(([key, value]) => !excluded.includes(key) && value !== undefined)
+        .map(([key, value]) => `${quote(key)}=${quote(value)}`);
+
+    const lines = ['graph topology {'];
+    // Metadata as graph attributes so tools can read it back
+    const metadata = exportMetadataEntries(data.metadata)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${quote(key)}=${quote(value)}`);
+    lines.push(`  graph [${metadata.join(', ')}];`);
+    data.nodes.forEach(node => {
+        const attributes = attributeList(node, ['id', 'x', 'y', 'z']);
+        if (node.x !== undefined) {
+            // Graphviz "pos" is in points with y growing upwards; '!' pins the node
+            attributes.push(`pos=${quote(`${node.x},${node.y}!`)}`);
+            attributes.push(`z=${quote(node.z)}`);
+        }
+        lines.push(`  ${node.id} [${attributes.join(', ')}];`);
+    });
+    data.edges.forEach(edge => {
+        const attributes = attributeList(edge, ['source', 'target']);
+        lines.push(`  ${edge.source} -- ${edge.target}${attributes.length > 0 ? ` [${attributes.join(', ')}]` : ''};`);
+    });
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
 
-                        // Create new bolt mesh
-                        const newBolt = new THREE.Mesh(newGeometry, bolt.boltMaterial);
-                        newBolt.layers.enable(1);
-                        group.add(newBolt);
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    downloadURL(fileName, url);
+    setTimeout(() => URL.revokeObjectURL(url), 0); // Revoke after the download has started
+}
 
-                        // Update references
-                        bolt.bolt = newBolt;
-                        bolt.boltGeometry = newGeometry;
+function downloadURL(fileName, url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
 
-                        // Update material with controlled colors and intensities
-                        const baseHue = 0.33; // Greenish hue
-                        const hueVariation = 0.1;
-                        const hue = (baseHue + (Math.random() * hueVariation - hueVariation / 2)) % 1;
+// --- Snapshot Export (PNG / SVG) ---
 
-                        bolt.boltMaterial.color.setHSL(hue, 1, 0.7); // Lighter green base color
-                        bolt.boltMaterial.emissive.setHSL(hue, 1, 0.8); // Bright emissive
+// Render the composer output (bloom included) at `scale` times the on-screen resolution
+function exportPNGSnapshot(scale) {
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    const originalPixelRatio = renderer.getPixelRatio();
 
-                        // Pulse intensity based on progression
-                        const pulseBase = 1.0 + Math.sin(currentTime * 0.002) * 0.5;
-                        const flicker = Math.random() * 0.5;
-                        bolt.boltMaterial.emissiveIntensity = pulseBase + flicker;
+    // Resize the drawing buffer (not the CSS size) and the composer's render targets
+    renderer.setPixelRatio(scale);
+    renderer.setSize(width, height);
+    composer.setPixelRatio(scale);
+    composer.setSize(width, height);
+    controls.update();
+    composer.render();
+    // Read the pixels in the same task as the render, before the buffer is cleared
+    const dataURL = renderer.domElement.toDataURL('image/png');
 
-                        // Tip glow: make the front part of the bolt brighter
-                        if (bolt.progress > 0 && bolt.progress < 1) {
-                            // Enhance brightness at the tip of the progressing bolt
-                            bolt.boltMaterial.emissiveIntensity += (1 - bolt.progress) * 2;
-                        }
+    renderer.setPixelRatio(originalPixelRatio);
+    renderer.setSize(width, height);
+    composer.setPixelRatio(originalPixelRatio);
+    composer.setSize(width, height);
+    composer.render();
 
-                        bolt.boltMaterial.needsUpdate = true;
-                    } catch (boltError) {
-                        console.error('Error updating bolt:', boltError);
-                    }
-                }
+    downloadURL(`${currentTopology.type || 'graph'}-${Math.round(width * scale)}x${Math.round(height * scale)}.png`, dataURL);
+}
+
+// Vector snapshot: project the current edge polylines (including curved wrap edges) and the
+// node spheres through the camera, using the colors currently shown on screen
+function exportSVGSnapshot() {
+    const width = container.clientWidth;
+    const height = container.clientHeight;
+    camera.updateMatrixWorld();
+
+    // World point -> SVG pixel coordinates; null if behind the camera
+    const project = point => {
+        const ndc = point.clone().project(camera);
+        if (ndc.z > 1) return null;
+        return { x: (ndc.x + 1) / 2 * width, y: (1 - ndc.y) / 2 * height, depth: ndc.z };
+    };
+    const hex = color => `#${color.getHexString()}`;
+    // Apparent radius of a sphere of radius NODE_RADIUS at a given world position
+    const projectedRadius = position => {
+        const distance = camera.position.distanceTo(position);
+        const fovScale = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+        return (NODE_RADIUS / (distance * fovScale)) * (height / 2);
+    };
+
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `  <rect width="100%" height="100%" fill="${hex(scene.background)}"/>`,
+        '  <g fill="none" stroke-width="1.5" stroke-linecap="round">'
+    ];
+    edgeMeshMap.forEach(line => {
+        const points = [];
+        line.points.forEach(point => {
+            const projected = project(point);
+            if (projected) points.push(`${projected.x.toFixed(2)},${projected.y.toFixed(2)}`);
+        });
+        if (points.length > 1) {
+            const opacity = line.material.transparent ? ` stroke-opacity="${line.material.opacity}"` : '';
+            lines.push(`    <polyline points="${points.join(' ')}" stroke="${hex(line.material.color)}"${opacity}/>`);
+        }
+    });
+    lines.push('  </g>', '  <g stroke="#000000" stroke-opacity="0.3">');
+
+    // Draw far nodes first so nearer ones overlap them, as in the 3D view
+    [...nodeMeshMap.values()]
+        .map(mesh => ({ mesh: mesh, projected: project(mesh.position) }))
+        .filter(item => item.projected)
+        .sort((a, b) => b.projected.depth - a.projected.depth)
+        .forEach(({ mesh, projected }) => {
+            const radius = projectedRadius(mesh.position);
+            lines.push(`    <circle cx="${projected.x.toFixed(2)}" cy="${projected.y.toFixed(2)}" r="${radius.toFixed(2)}" fill="${hex(mesh.material.color)}"${mesh.material.transparent ? ` fill-opacity="${mesh.material.opacity}"` : ''}><title>${mesh.userData.nodeId}</title></circle>`);
+        });
+    lines.push('  </g>', '</svg>');
+
+    downloadFile(`${currentTopology.type || 'graph'}.svg`, lines.join('\n') + '\n', 'image/svg+xml');
+}
+
+// --- Metric Calculation Functions ---
+// Per-node values are arrays in graph.nodes order, under `perNode`; articulationPoints and
+// bridges hold node ids. onProgress(fraction) is called as the all-pairs BFS advances.
+function calculateGraphMetrics(graph, adj, onProgress = null) {
+    const { offsets, targets } = buildCSRAdjacency(graph, adj);
+    return metricsWithNodeIds(computeMetricsCSR(offsets, targets, onProgress), graph);
+}
+
+// Compressed sparse row adjacency over node indices (positions in graph.nodes, since ids need not
+// be 0..n-1, e.g. imported graphs): node i is adjacent to targets[offsets[i]] .. targets[offsets[i + 1] - 1]
+function buildCSRAdjacency(graph, adj) {
+    const n = graph.nodes.length;
+    const indexOf = new Map(graph.nodes.map((node, i) => [node.id, i]));
+    const offsets = new Int32Array(n + 1);
+    graph.nodes.forEach((node, i) => (adj.get(node.id) || []).forEach(id => {
+        if (indexOf.has(id)) offsets[i + 1]++;
+    }));
+    for (let i = 0; i < n; i++) offsets[i + 1] += offsets[i];
+    const targets = new Int32Array(offsets[n]);
+    graph.nodes.forEach((node, i) => {
+        let k = offsets[i];
+        (adj.get(node.id) || []).forEach(id => {
+            const j = indexOf.get(id);
+            if (j !== undefined) targets[k++] = j;
+        });
+    });
+    return { offsets: offsets, targets: targets };
+}
+
+// computeMetricsCSR reports node indices; map them back to the ids of `graph`
+function metricsWithNodeIds(metrics, graph) {
+    const idOf = i => graph.nodes[i].id;
+    metrics.articulationPoints = metrics.articulationPoints.map(idOf);
+    metrics.bridges = metrics.bridges.map(([u, v]) => [idOf(u), idOf(v)]);
+    return metrics;
+}
+
+// Runs one BFS per node (Brandes-style, so betweenness comes out of the same pass) and collects
+// distance-based metrics. Works on CSR arrays only, so it also runs inside the metrics worker.
+function computeMetricsCSR(offsets, targets, onProgress = null) {
+    const n = offsets.length - 1;
+    const degrees = new Int32Array(n);
+    for (let u = 0; u < n; u++) degrees[u] = offsets[u + 1] - offsets[u];
+
+    // Degree distribution: degreeDistribution[d] = number of nodes with degree d
+    let minDegree = n > 0 ? Infinity : 0;
+    let maxDegree = 0;
+    degrees.forEach(d => {
+        minDegree = Math.min(minDegree, d);
+        maxDegree = Math.max(maxDegree, d);
+    });
+    const degreeDistribution = new Array(maxDegree + 1).fill(0);
+    degrees.forEach(d => degreeDistribution[d]++);
+    const degreeStats = {
+        minDegree: minDegree,
+        maxDegree: maxDegree,
+        avgDegree: n > 0 ? parseFloat((degrees.reduce((sum, d) => sum + d, 0) / n).toFixed(3)) : 0,
+        degreeDistribution: degreeDistribution
+    };
+
+    // Handle trivial cases
+    if (n <= 1) {
+        return Object.assign({
+            diameter: 0, avgPathLength: 0, isConnected: true, radius: 0,
+            pathLengthHistogram: [0], bisectionWidth: 0, bisection: { spectral: 0, refined: 0 },
+            componentCount: n, articulationPoints: [], bridges: [], vertexConnectivity: 0, edgeConnectivity: 0,
+            perNode: {
+                eccentricity: new Array(n).fill(0), closeness: new Array(n).fill(0),
+                betweenness: new Array(n).fill(0), component: new Array(n).fill(0)
             }
+        }, degreeStats);
+    }
 
-            // Schedule next frame only if animation should continue
-            // Check continueAnimation again before scheduling
-            if (continueAnimation && activeLightningBolts.includes(group)) {
-                 requestAnimationFrame(animateBolts);
+    let maxDistance = 0;         // Stores the diameter
+    let totalPathLengthSum = 0;  // Sum of all shortest paths
+    let reachablePairsCount = 0; // Count of reachable node pairs (excluding self)
+    let isConnected = true;      // Connectivity flag
+
+    const histogram = [0];                         // histogram[d] = ordered pairs at distance d
+    const eccentricity = new Array(n).fill(0);
+    const closeness = new Array(n).fill(0);
+    const betweenness = new Array(n).fill(0);
+
+    // Buffers reused by every BFS
+    const dist = new Int32Array(n);
+    const sigma = new Float64Array(n); // Number of shortest paths from the source
+    const delta = new Float64Array(n); // Brandes dependency
+    const order = new Int32Array(n);   // Nodes in BFS (non-decreasing distance) order
+
+    for (let s = 0; s < n; s++) {
+        dist.fill(-1);
+        sigma.fill(0);
+        delta.fill(0);
+        dist[s] = 0;
+        sigma[s] = 1;
+        order[0] = s;
+        let head = 0, tail = 1;
+        let distanceSum = 0;
+        let currentMax = 0; // Max distance from this start node
+
+        while (head < tail) {
+            const u = order[head++];
+            const du = dist[u];
+            for (let k = offsets[u]; k < offsets[u + 1]; k++) {
+                const v = targets[k];
+                if (dist[v] < 0) {
+                    dist[v] = du + 1;
+                    order[tail++] = v;
+                    distanceSum += du + 1;
+                    if (du + 1 > currentMax) currentMax = du + 1;
+                    histogram[du + 1] = (histogram[du + 1] || 0) + 1;
+                }
+                if (dist[v] === du + 1) sigma[v] += sigma[u];
             }
+        }
 
-        } catch (error) {
-            console.error('Error in animateBolts function:', error);
-            // Stop animation on error to prevent loops
-            continueAnimation = false;
-            const index = activeLightningBolts.indexOf(group);
-            if (index > -1) {
-                activeLightningBolts.splice(index, 1);
+        // Dependency accumulation in reverse BFS order
+        for (let i = tail - 1; i > 0; i--) {
+            const w = order[i];
+            for (let k = offsets[w]; k < offsets[w + 1]; k++) {
+                const v = targets[k];
+                if (dist[v] === dist[w] - 1) {
+                    delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]);
+                }
             }
-            if (scene.children.includes(group)) {
-                scene.remove(group);
+            betweenness[w] += delta[w];
+        }
+
+        const reachableCount = tail; // Includes the start node itself
+        if (reachableCount < n) {
+            isConnected = false; // Some node can't be reached from here
+        }
+        totalPathLengthSum += distanceSum;
+        reachablePairsCount += reachableCount - 1;
+        maxDistance = Math.max(maxDistance, currentMax);
+        eccentricity[s] = reachableCount < n ? Infinity : currentMax;
+        // Closeness (Wasserman-Faust), which stays meaningful inside a disconnected graph
+        closeness[s] = distanceSum > 0
+            ? ((reachableCount - 1) / distanceSum) * ((reachableCount - 1) / (n - 1))
+            : 0;
+        if (onProgress) onProgress((s + 1) / n);
+    }
+
+    // Determine final Diameter and ASPL
+    const diameter = isConnected ? maxDistance : Infinity;
+    const radius = isConnected ? eccentricity.reduce((min, value) => Math.min(min, value), Infinity) : Infinity;
+
+    // Calculate ASPL only if connected and pairs exist
+    const avgPathLength = (isConnected && reachablePairsCount > 0)
+        ? (totalPathLengthSum / reachablePairsCount) // Sum included A->B and B->A, Count included A->B and B->A
+        : Infinity;
+
+    // Every pair was counted from both ends; report unordered pairs and normalized betweenness
+    const pathLengthHistogram = Array.from(histogram, count => (count || 0) / 2);
+    pathLengthHistogram[0] = 0;
+    const betweennessScale = n > 2 ? 2 / ((n - 1) * (n - 2)) : 0;
+
+    const bisection = estimateBisectionWidth(offsets, targets);
+    const connectivity = analyzeConnectivity(offsets, targets);
+
+    return Object.assign({
+        diameter: diameter,
+        // Format ASPL to a reasonable number of decimal places
+        avgPathLength: avgPathLength === Infinity ? Infinity : parseFloat(avgPathLength.toFixed(3)),
+        isConnected: isConnected,
+        radius: radius,
+        pathLengthHistogram: pathLengthHistogram,
+        bisectionWidth: Math.min(bisection.spectral, bisection.refined),
+        bisection: bisection,
+        componentCount: connectivity.componentCount,
+        articulationPoints: connectivity.articulationPoints,
+        bridges: connectivity.bridges,
+        vertexConnectivity: connectivity.vertexConnectivity, // null when too costly to compute
+        edgeConnectivity: connectivity.edgeConnectivity,
+        perNode: {
+            component: connectivity.component,
+            eccentricity: eccentricity,
+            closeness: closeness.map(value => parseFloat(value.toFixed(4))),
+            // Each pair's dependency was accumulated from both ends, hence /2 inside the scale
+            betweenness: betweenness.map(value => parseFloat((value / 2 * betweennessScale).toFixed(4)))
+        }
+    }, degreeStats);
+}
+
+// --- Connectivity ---
+// Connected components, articulation points and bridges come from one iterative Tarjan DFS.
+// Vertex and edge connectivity come from unit-capacity max-flows (Even's algorithm for vertices,
+// flows from node 0 to every other node for edges); that part is skipped (null) when its estimated
+// cost exceeds CONNECTIVITY_MAX_WORK. Results are node indices (CSR adjacency, see buildCSRAdjacency).
+function analyzeConnectivity(offsets, targets) {
+    const n = offsets.length - 1;
+    const component = new Array(n).fill(-1);
+    const discovery = new Int32Array(n).fill(-1);
+    const low = new Int32Array(n);
+    const parent = new Int32Array(n).fill(-1);
+    const nextNeighbor = offsets.slice(0, n); // Position in each neighbor list (the DFS is iterative)
+    const stack = new Int32Array(n);
+    const isArticulation = new Uint8Array(n);
+    const bridges = [];
+    let time = 0;
+    let componentCount = 0;
+
+    for (let root = 0; root < n; root++) {
+        if (discovery[root] >= 0) continue;
+        let rootChildren = 0;
+        let top = 0;
+        stack[0] = root;
+        discovery[root] = low[root] = time++;
+        component[root] = componentCount;
+        while (top >= 0) {
+            const u = stack[top];
+            if (nextNeighbor[u] < offsets[u + 1]) {
+                const v = targets[nextNeighbor[u]++];
+                if (discovery[v] < 0) {
+                    parent[v] = u;
+                    discovery[v] = low[v] = time++;
+                    component[v] = componentCount;
+                    if (u === root) rootChildren++;
+                    stack[++top] = v;
+                } else if (v !== parent[u]) {
+                    low[u] = Math.min(low[u], discovery[v]); // Back edge
+                }
+            } else {
+                top--;
+                const p = parent[u];
+                if (p >= 0) {
+                    low[p] = Math.min(low[p], low[u]);
+                    if (low[u] > discovery[p]) bridges.push([p, u]);
+                    if (p !== root && low[u] >= discovery[p]) isArticulation[p] = 1;
+                }
             }
         }
+        if (rootChildren > 1) isArticulation[root] = 1;
+        componentCount++;
     }
 
-    // Add a function to explicitly stop this bolt's animation
-    group.userData.stopAnimation = () => {
-        continueAnimation = false;
-        // No need to remove from activeLightningBolts here,
-        // the check at the start of animateBolts will handle cleanup.
+    const articulationPoints = [];
+    isArticulation.forEach((flag, i) => { if (flag) articulationPoints.push(i); });
+
+    // Connectivity numbers, using the cheap answers first
+    let minDegree = n > 0 ? Infinity : 0;
+    for (let u = 0; u < n; u++) minDegree = Math.min(minDegree, offsets[u + 1] - offsets[u]);
+    const edgeCount = targets.length / 2;
+    let vertexConnectivity = null;
+    let edgeConnectivity = null;
+    if (componentCount > 1 || n <= 1) {
+        vertexConnectivity = 0;
+        edgeConnectivity = 0;
+    } else {
+        if (minDegree === n - 1) {
+            vertexConnectivity = n - 1; // Complete graph
+        } else if (articulationPoints.length > 0) {
+            vertexConnectivity = 1;
+        } else if ((minDegree + 1) * n * (minDegree + 1) * (2 * n + 4 * edgeCount) <= CONNECTIVITY_MAX_WORK) {
+            vertexConnectivity = computeVertexConnectivity(offsets, targets, minDegree);
+        }
+        if (bridges.length > 0) {
+            edgeConnectivity = 1;
+        } else if (n * (minDegree + 1) * (n + 4 * edgeCount) <= CONNECTIVITY_MAX_WORK) {
+            edgeConnectivity = computeEdgeConnectivity(offsets, targets, minDegree);
+        }
+    }
+
+    return {
+        componentCount: componentCount,
+        component: component,
+        articulationPoints: articulationPoints,
+        bridges: bridges,
+        vertexConnectivity: vertexConnectivity,
+        edgeConnectivity: edgeConnectivity
     };
+}
 
-    animateBolts();
-    return group;
+// Edge connectivity of a connected graph: min over t of the max-flow from node 0 to t, with every
+// edge a unit-capacity link in both directions. The minimum degree is an upper bound.
+function computeEdgeConnectivity(offsets, targets, minDegree) {
+    const n = offsets.length - 1;
+    const network = createFlowNetwork(n);
+    for (let u = 0; u < n; u++) {
+        for (let k = offsets[u]; k < offsets[u + 1]; k++) {
+            if (u < targets[k]) network.addArc(u, targets[k], 1, 1);
+        }
+    }
+    let best = minDegree;
+    for (let t = 1; t < n && best > 0; t++) {
+        best = Math.min(best, network.maxFlow(0, t, best));
+    }
+    return best;
 }
 
-function generateLightningPath(source, target) {
-    // Make sure source and target are valid Vector3 objects
-    if (!(source instanceof THREE.Vector3) || !(target instanceof THREE.Vector3)) {
-        console.error('Invalid source or target for lightning path', { source, target });
-        // Create default vectors if input is invalid
-        source = source instanceof THREE.Vector3 ? source : new THREE.Vector3(0, 0, 0);
-        target = target instanceof THREE.Vector3 ? target : new THREE.Vector3(0, 0, 1);
+// Vertex connectivity of a connected, non-complete graph (Even's algorithm): every node v is split
+// into v_in -> v_out with capacity 1, so a max-flow counts vertex-disjoint paths. A minimum vertex
+// cut of size k can't contain all of nodes 0..k, so only those need to be tried as sources.
+function computeVertexConnectivity(offsets, targets, minDegree) {
+    const n = offsets.length - 1;
+    const network = createFlowNetwork(2 * n);
+    for (let v = 0; v < n; v++) network.addArc(2 * v, 2 * v + 1, 1);
+    for (let u = 0; u < n; u++) {
+        for (let k = offsets[u]; k < offsets[u + 1]; k++) network.addArc(2 * u + 1, 2 * targets[k], n);
     }
-    
-    const points = [];
-    const segments = 10; // Number of segments in the lightning bolt
-    
-    // Clone source and target to avoid modifying originals
-    const sourceVector = source.clone();
-    const targetVector = target.clone();
+
+    let best = minDegree;
+    for (let i = 0; i <= best && i < n; i++) {
+        const adjacent = new Set(targets.subarray(offsets[i], offsets[i + 1]));
+        for (let j = i + 1; j < n; j++) {
+            if (adjacent.has(j)) continue;
+            best = Math.min(best, network.maxFlow(2 * i + 1, 2 * j, best));
+        }
+    }
+    return best;
+}
+
+// Directed flow network with integer capacities. Arcs are stored in pairs (arc a and its residual
+// a ^ 1); maxFlow works on a copy of the capacities, so one network serves many queries.
+function createFlowNetwork(nodeCount) {
+    const firstArc = new Int32Array(nodeCount).fill(-1);
+    const arcTarget = [];
+    const nextArc = [];
+    const capacity = [];
+
+    const pushArc = (u, v, cap) => {
+        arcTarget.push(v);
+        capacity.push(cap);
+        nextArc.push(firstArc[u]);
+        firstArc[u] = arcTarget.length - 1;
+    };
+
+    return {
+        addArc(u, v, forward, backward = 0) {
+            pushArc(u, v, forward);
+            pushArc(v, u, backward);
+        },
+        // Max-flow from s to t by shortest augmenting paths, stopping once it reaches `limit`
+        maxFlow(s, t, limit = Infinity) {
+            const residual = Int32Array.from(capacity);
+            const viaArc = new Int32Array(nodeCount);
+            const queue = new Int32Array(nodeCount);
+            let flow = 0;
+            while (flow < limit) {
+                viaArc.fill(-1);
+                viaArc[s] = -2;
+                let head = 0, tail = 0;
+                queue[tail++] = s;
+                while (head < tail && viaArc[t] === -1) {
+                    const u = queue[head++];
+                    for (let a = firstArc[u]; a !== -1; a = nextArc[a]) {
+                        const v = arcTarget[a];
+                        if (residual[a] > 0 && viaArc[v] === -1) {
+                            viaArc[v] = a;
+                            queue[tail++] = v;
+                        }
+                    }
+                }
+                if (viaArc[t] === -1) break; // No augmenting path left
+
+                let bottleneck = limit - flow;
+                for (let v = t; v !== s; v = arcTarget[viaArc[v] ^ 1]) bottleneck = Math.min(bottleneck, residual[viaArc[v]]);
+                for (let v = t; v !== s; v = arcTarget[viaArc[v] ^ 1]) {
+                    residual[viaArc[v]] -= bottleneck;
+                    residual[viaArc[v] ^ 1] += bottleneck;
+                }
+                flow += bottleneck;
+            }
+            return flow;
+        }
+    };
+}
+
+// --- Bisection Width Estimates ---
+// Minimum number of edges cut when splitting the nodes into two halves (sizes differ by at most
+// one). Exact bisection is NP-hard, so both values are upper bounds:
+//   spectral: split at the median of the Fiedler vector (2nd Laplacian eigenvector)
+//   refined:  best Fiduccia–Mattheyses refinement of the spectral split and of a few seeded
+//             random splits
+function estimateBisectionWidth(offsets, targets) {
+    const n = offsets.length - 1;
+    if (n < 2) return { spectral: 0, refined: 0 };
+
+    const splitByOrder = ordered => {
+        const part = new Int8Array(n);
+        ordered.forEach((node, rank) => { part[node] = rank < Math.floor(n / 2) ? 0 : 1; });
+        return part;
+    };
+
+    const [fiedler] = computeLaplacianEigenvectors(offsets, targets, 1);
+    const spectralPart = splitByOrder([...Array(n).keys()].sort((a, b) => fiedler[a] - fiedler[b] || a - b));
+    const spectral = countCutEdges(offsets, targets, spectralPart);
+
+    let refined = refineBisectionFM(offsets, targets, spectralPart);
+    const random = createSeededRandom(1); // Fixed seed: the same graph always gets the same estimate
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const shuffled = [...Array(n).keys()];
+        for (let i = n - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        refined = Math.min(refined, refineBisectionFM(offsets, targets, splitByOrder(shuffled)));
+    }
+    return { spectral: spectral, refined: Math.min(refined, spectral) };
+}
+
+// Edges whose endpoints lie on different sides of a two-way partition
+function countCutEdges(offsets, targets, part) {
+    let cut = 0;
+    for (let u = 0; u < part.length; u++) {
+        for (let k = offsets[u]; k < offsets[u + 1]; k++) {
+            if (u < targets[k] && part[u] !== part[targets[k]]) cut++;
+        }
+    }
+    return cut;
+}
+
+// Fiduccia–Mattheyses passes on a balanced two-way partition (modified in place).
+// Gains are kept in buckets so a pass costs O(edges); returns the final cut size.
+function refineBisectionFM(offsets, targets, part) {
+    const n = offsets.length - 1;
+    let maxDegree = 0;
+    for (let u = 0; u < n; u++) maxDegree = Math.max(maxDegree, offsets[u + 1] - offsets[u]);
+    const gain = new Int32Array(n);
+    const locked = new Uint8Array(n);
+    const sizes = [0, 0];
+    part.forEach(side => sizes[side]++);
+    const balanced = () => Math.abs(sizes[0] - sizes[1]) <= n % 2;
+
+    let cut = countCutEdges(offsets, targets, part);
+
+    for (let pass = 0; pass < 10; pass++) {
+        // buckets[side][gain + maxDegree] = unlocked nodes on that side with that gain
+        const buckets = [0, 1].map(() => Array.from({ length: 2 * maxDegree + 1 }, () => new Set()));
+        locked.fill(0);
+        for (let u = 0; u < n; u++) {
+            let g = 0;
+            for (let k = offsets[u]; k < offsets[u + 1]; k++) g += part[u] !== part[targets[k]] ? 1 : -1;
+            gain[u] = g;
+            buckets[part[u]][g + maxDegree].add(u);
+        }
+        const bestInBucket = side => {
+            const sideBuckets = buckets[side];
+            for (let g = sideBuckets.length - 1; g >= 0; g--) {
+                if (sideBuckets[g].size > 0) return sideBuckets[g].values().next().value;
+            }
+            return -1;
+        };
+
+        const moves = [];
+        let bestCut = cut, bestMoveCount = 0, currentCut = cut;
+        for (let step = 0; step < n; step++) {
+            // Move from the larger side; if equal, take the better gain
+            let side;
+            if (sizes[0] !== sizes[1]) {
+                side = sizes[0] > sizes[1] ? 0 : 1;
+            } else {
+                const a = bestInBucket(0), b = bestInBucket(1);
+                side = b < 0 || (a >= 0 && gain[a] >= gain[b]) ? 0 : 1;
+            }
+            const u = bestInBucket(side);
+            if (u < 0) break;
+
+            buckets[side][gain[u] + maxDegree].delete(u);
+            locked[u] = 1;
+            currentCut -= gain[u];
+            part[u] = 1 - side;
+            sizes[side]--;
+            sizes[1 - side]++;
+            moves.push(u);
+            for (let k = offsets[u]; k < offsets[u + 1]; k++) {
+                const v = targets[k];
+                if (locked[v]) continue;
+                buckets[part[v]][gain[v] + maxDegree].delete(v);
+                gain[v] += part[v] === part[u] ? -2 : 2; // The u-v edge flipped between cut and uncut
+                buckets[part[v]][gain[v] + maxDegree].add(v);
+            }
+
+            if (balanced() && currentCut < bestCut) {
+                bestCut = currentCut;
+                bestMoveCount = moves.length;
+            }
+        }
+
+        // Undo the moves after the best balanced prefix
+        for (let i = moves.length - 1; i >= bestMoveCount; i--) {
+            const u = moves[i];
+            sizes[part[u]]--;
+            part[u] = 1 - part[u];
+            sizes[part[u]]++;
+        }
+        if (bestCut >= cut) break; // No improvement in this pass
+        cut = bestCut;
+    }
+    return cut;
+}
+
+// Smallest non-trivial eigenvectors of the graph Laplacian L = D - A (the constant vector is
+// skipped), by power iteration on (c*I - L) with deflation. Returns `count` Float64Arrays.
+// Iteration starts from a random vector, or from the one of `startVectors` that keeps the largest
+// share of its length after deflation (smooth start vectors converge much faster on large graphs).
+function computeLaplacianEigenvectors(offsets, targets, count, iterations = 300, startVectors = null) {
+    const n = offsets.length - 1;
+    let maxDegree = 0;
+    for (let u = 0; u < n; u++) maxDegree = Math.max(maxDegree, offsets[u + 1] - offsets[u]);
+    const shift = 2 * maxDegree + 1; // Upper bound on Laplacian eigenvalues, keeps c*I - L positive
+    const random = createSeededRandom(7);
+    const vectors = [];
+
+    const orthogonalize = v => {
+        // Remove the constant component and the already-found eigenvectors
+        const mean = v.reduce((sum, x) => sum + x, 0) / n;
+        for (let i = 0; i < n; i++) v[i] -= mean;
+        vectors.forEach(u => {
+            let dot = 0;
+            for (let i = 0; i < n; i++) dot += v[i] * u[i];
+            for (let i = 0; i < n; i++) v[i] -= dot * u[i];
+        });
+    };
+    const length = v => Math.sqrt(v.reduce((sum, x) => sum + x * x, 0));
+    const normalize = v => {
+        const norm = length(v) || 1;
+        for (let i = 0; i < n; i++) v[i] /= norm;
+    };
+
+    for (let k = 0; k < count; k++) {
+        let v = Float64Array.from({ length: n }, () => random() - 0.5);
+        let bestShare = 1e-6;
+        (startVectors || []).forEach(start => {
+            const candidate = Float64Array.from(start);
+            const before = length(candidate);
+            orthogonalize(candidate);
+            const share = length(candidate) / (before || 1);
+            if (share > bestShare) {
+                bestShare = share;
+                v = candidate;
+            }
+        });
+        orthogonalize(v);
+        normalize(v);
+        const next = new Float64Array(n);
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            // next = (c*I - L) v = (c - deg) v + A v
+            for (let u = 0; u < n; u++) {
+                let sum = (shift - (offsets[u + 1] - offsets[u])) * v[u];
+                for (let k = offsets[u]; k < offsets[u + 1]; k++) sum += v[targets[k]];
+                next[u] = sum;
+            }
+            v.set(next);
+            orthogonalize(v);
+            normalize(v);
+        }
+        vectors.push(v);
+    }
+    return vectors;
+}
+
+
+// --- BFS Helper function ---
+// predecessors holds one shortest-path predecessor per node (see reconstructPath);
+// predecessorLists holds all of them, i.e. the DAG of every shortest path from the start node,
+// and pathCounts the number of distinct shortest paths reaching each node
+function bfs(startNodeId, adj, allNodes) {
+    const distances = new Map();
+    const predecessors = new Map(); // To store path predecessors
+    const predecessorLists = new Map();
+    const pathCounts = new Map();
+    allNodes.forEach(node => {
+        distances.set(node.id, Infinity);
+        predecessors.set(node.id, null); // Initialize predecessors
+        predecessorLists.set(node.id, []);
+        pathCounts.set(node.id, 0);
+    });
+    const queue = [];
+
+    distances.set(startNodeId, 0);
+    pathCounts.set(startNodeId, 1);
+    queue.push(startNodeId);
+
+    let head = 0;
+    while (head < queue.length) {
+        const u = queue[head++];
+        const neighbors = adj.get(u) || [];
+
+        for (const v of neighbors) {
+            if (distances.get(v) === Infinity) {
+                distances.set(v, distances.get(u) + 1);
+                predecessors.set(v, u); // Set predecessor for path reconstruction
+                queue.push(v);
+            }
+            if (distances.get(v) === distances.get(u) + 1) {
+                predecessorLists.get(v).push(u); // Another shortest way into v
+                pathCounts.set(v, pathCounts.get(v) + pathCounts.get(u));
+            }
+        }
+    }
+    return { distances, predecessors, predecessorLists, pathCounts };
+}
+
+// BFS over CSR arrays from node index `source` for the analyses that run one BFS per source:
+// fills dist (-1 if unreachable), order (reached nodes in BFS order) and, if given, sigma (number
+// of shortest paths). Returns how many nodes were reached.
+function bfsCSR(offsets, targets, source, dist, order, sigma = null) {
+    dist.fill(-1);
+    if (sigma) sigma.fill(0);
+    dist[source] = 0;
+    if (sigma) sigma[source] = 1;
+    order[0] = source;
+    let head = 0, tail = 1;
+    while (head < tail) {
+        const u = order[head++];
+        for (let k = offsets[u]; k < offsets[u + 1]; k++) {
+            const v = targets[k];
+            if (dist[v] < 0) {
+                dist[v] = dist[u] + 1;
+                order[tail++] = v;
+            }
+            if (sigma && dist[v] === dist[u] + 1) sigma[v] += sigma[u];
+        }
+    }
+    return tail;
+}
+
+// Indices (0..n-1, ascending) of the nodes the resilience analysis runs a BFS (costing `bfsWork`)
+// from: all of them, or beyond RESILIENCE_MAX_WORK RESILIENCE_SAMPLE_SOURCES seeded random ones
+function pickResilienceSources(n, bfsWork, seed = 1) {
+    if (n * bfsWork <= RESILIENCE_MAX_WORK) return Array.from({ length: n }, (_, i) => i);
+    const random = createSeededRandom(seed);
+    const picked = new Set();
+    while (picked.size < Math.min(n, RESILIENCE_SAMPLE_SOURCES)) picked.add(Math.floor(random() * n));
+    return [...picked].sort((a, b) => a - b);
+}
+
+
+// --- Metrics Worker ---
+// Metrics of large graphs are computed in a Web Worker, so the page stays responsive and a new
+// graph can cancel a computation that is still running. The worker script is assembled from the
+// CSR metric functions above (a Blob URL also works when index.html is opened as a file) and gets
+// the CSR arrays as transferables. Only the metrics move to the worker. Generation stays on the main
+// thread: it is linear in the graph size, and the graph is needed there for drawing anyway. The
+// resilience analysis stays there too, sampled on large graphs, and the traffic analysis runs there
+// in slices.
+
+const METRICS_WORKER_FUNCTIONS = [
+    computeMetricsCSR, analyzeConnectivity, computeEdgeConnectivity, computeVertexConnectivity,
+    createFlowNetwork, estimateBisectionWidth, countCutEdges, refineBisectionFM,
+    computeLaplacianEigenvectors, createSeededRandom
+];
+
+// Message handler inside the worker: { offsets, targets } in; progress, then a result or error out
+function handleMetricsWorkerMessage(event) {
+    const { offsets, targets } = event.data;
+    let reported = 0;
+    try {
+        const metrics = computeMetricsCSR(offsets, targets, fraction => {
+            if (fraction - reported >= 0.01) { // At most ~100 progress messages
+                reported = fraction;
+                self.postMessage({ type: 'progress', fraction: fraction });
+            }
+        });
+        self.postMessage({ type: 'result', metrics: metrics });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+}
+
+function getMetricsWorkerURL() {
+    if (!metricsWorkerURL) {
+        const source = [
+            `const CONNECTIVITY_MAX_WORK = ${CONNECTIVITY_MAX_WORK};`,
+            ...METRICS_WORKER_FUNCTIONS.map(fn => fn.toString()),
+            handleMetricsWorkerMessage.toString(),
+            'self.onmessage = handleMetricsWorkerMessage;'
+        ];
+        metricsWorkerURL = URL.createObjectURL(new Blob([source.join('\n\n')], { type: 'text/javascript' }));
+    }
+    return metricsWorkerURL;
+}
+
+// Runs one metrics computation at a time: compute(graph, adj, { onProgress, onDone, onError }).
+// Graphs below METRICS_WORKER_MIN_NODES (or browsers without workers) are computed inline, in which
+// case onDone runs before compute returns. Starting a computation or calling cancel() drops the
+// previous one; its callbacks never run.
+function createMetricsRunner() {
+    let worker = null;
+    let job = null; // Callbacks of the computation in progress
+
+    const cancel = () => {
+        if (job && worker) {
+            worker.terminate(); // The only way to interrupt a running computation
+            worker = null;
+        }
+        job = null;
+    };
+
+    const startWorker = () => {
+        worker = new Worker(getMetricsWorkerURL());
+        worker.onmessage = event => {
+            const message = event.data;
+            const current = job;
+            if (!current) return;
+            if (message.type === 'progress') {
+                current.onProgress(message.fraction);
+                return;
+            }
+            job = null;
+            if (message.type === 'result') {
+                current.onDone(message.metrics);
+            } else {
+                current.onError(new Error(message.message));
+            }
+        };
+        worker.onerror = event => {
+            const current = job;
+            cancel();
+            worker = null;
+            if (current) current.onError(new Error(event.message || 'The metrics worker stopped unexpectedly.'));
+        };
+    };
+
+    return {
+        compute(graph, adj, callbacks) {
+            cancel();
+            const onProgress = callbacks.onProgress || (() => {});
+            const onError = callbacks.onError || (error => showError(error.message));
+            if (typeof Worker === 'undefined' || graph.nodes.length < METRICS_WORKER_MIN_NODES) {
+                callbacks.onDone(calculateGraphMetrics(graph, adj));
+                return;
+            }
+            try {
+                if (!worker) startWorker();
+            } catch (error) {
+                // Workers can be unavailable (e.g. blocked by a content security policy)
+                console.warn('Metrics worker unavailable, computing on the main thread:', error);
+                callbacks.onDone(calculateGraphMetrics(graph, adj));
+                return;
+            }
+            const { offsets, targets } = buildCSRAdjacency(graph, adj);
+            job = {
+                onProgress: onProgress,
+                onDone: metrics => callbacks.onDone(metricsWithNodeIds(metrics, graph)),
+                onError: onError
+            };
+            onProgress(0);
+            worker.postMessage({ offsets: offsets, targets: targets }, [offsets.buffer, targets.buffer]);
+        },
+        cancel: cancel,
+        get busy() {
+            return job !== null;
+        }
+    };
+}
+
+// Compute the metrics of graphData (or of what survives of it) and show them when ready
+function updateCurrentMetrics(graph) {
+    currentMetrics = null;
+    metricsRunner.compute(graph, adjacencyList, {
+        onProgress: fraction => {
+            metricsProgressDiv.style.display = '';
+            metricsProgressBar.value = fraction;
+        },
+        onDone: metrics => {
+            metricsProgressDiv.style.display = 'none';
+            currentMetrics = metrics;
+            displayMetrics(graph, metrics);
+            refreshBaseMaterials(); // Cut vertices, bridges and component colors
+        },
+        onError: error => {
+            metricsProgressDiv.style.display = 'none';
+            showError(`Could not compute the metrics: ${error.message}`);
+        }
+    });
+    if (metricsRunner.busy) {
+        // Counts are known right away; the rest waits for the worker
+        nodeCountSpan.textContent = graph.nodes.length;
+        edgeCountSpan.textContent = graph.edges.length;
+        [diameterSpan, avgPathLengthSpan, componentCountSpan].forEach(span => { span.textContent = 'Computing…'; });
+    }
+}
+
+function cancelMetrics() {
+    metricsRunner.cancel();
+    metricsProgressDiv.style.display = 'none';
+    [diameterSpan, avgPathLengthSpan, componentCountSpan].forEach(span => { span.textContent = 'Cancelled'; });
+}
+
+// --- Failure Simulation ---
+// Failed nodes and links stay in graphData (and in the scene, drawn with the FAILED_* materials);
+// metrics, adjacencyList and path highlighting use the surviving graph instead.
+
+function getEdgeKey(u, v) {
+    return `${Math.min(u, v)}-${Math.max(u, v)}`;
+}
+
+// A link is down if it failed itself or either of its endpoints did
+function isEdgeFailed(u, v) {
+    return failedNodes.has(u) || failedNodes.has(v) || failedEdges.has(getEdgeKey(u, v));
+}
+
+// Position of each node in the graph the current metrics were computed on (the surviving graph)
+function getMetricIndex() {
+    return new Map(getSurvivingGraph().nodes.map((node, i) => [node.id, i]));
+}
+
+function getSurvivingGraph() {
+    return {
+        nodes: graphData.nodes.filter(node => !failedNodes.has(node.id)),
+        edges: graphData.edges.filter(edge => !isEdgeFailed(edge.source, edge.target))
+    };
+}
+
+function resetFailures() {
+    failedNodes.clear();
+    failedEdges.clear();
+    resilienceHistory = [];
+}
+
+// Recompute everything that depends on the surviving graph after failures change
+function recomputeSurvivingMetrics() {
+    const surviving = getSurvivingGraph();
+    clearHighlights(); // Highlighted paths may run through elements that just failed
+    cancelLatencyPlot(); // It would mix rates simulated before and after the failure
+    adjacencyList = buildAdjacencyList(surviving); // Routing below reads it
+    if (packetSimulation) {
+        startSimulation(); // Restart with routes that avoid the failures where the routing can
+    }
+    updateCurrentMetrics(surviving);
+    if (trafficResult || trafficAnalysisTimeout !== null) {
+        runTrafficAnalysis(); // Reroute the same pattern around the failures
+    }
+    refreshBaseMaterials();
+    updateFailurePanel();
+}
+
+// Disable the node or link under the pointer (raycaster already set up by onNodeClick)
+function failClickedElement() {
+    const nodeId = pickNode();
+    if (nodeId !== null) {
+        failElement({ nodeId: nodeId });
+        return;
+    }
+    const edge = pickEdge();
+    if (edge) {
+        const { source, target } = edge.userData;
+        failElement({ edgeKey: getEdgeKey(source, target) });
+    }
+}
+
+// Fail one element ({ nodeId } or { edgeKey }) and, if `measure` is set, record a point of the
+// resilience curve
+function failElement(element, recompute = true, measure = true) {
+    if (resilienceHistory.length === 0) {
+        resilienceHistory.push(measureResilience()); // Baseline: nothing failed yet
+    }
+    if (element.nodeId !== undefined) {
+        if (failedNodes.has(element.nodeId)) return;
+        failedNodes.add(element.nodeId);
+    } else {
+        if (failedEdges.has(element.edgeKey)) return;
+        failedEdges.add(element.edgeKey);
+    }
+    if (measure) resilienceHistory.push(measureResilience());
+    if (recompute) recomputeSurvivingMetrics();
+}
+
+// Fail k distinct random live elements ('nodes', 'edges' or 'both'), drawn with a seeded PRNG so the
+// same seed fails the same elements. The failures are applied one at a time, and the resilience
+// curve gets a point at up to RESILIENCE_BATCH_POINTS evenly spaced steps (always the last one).
+function failRandomElements(count, target, seed = 1) {
+    const candidates = [];
+    if (target !== 'edges') {
+        graphData.nodes.forEach(node => {
+            if (!failedNodes.has(node.id)) candidates.push({ nodeId: node.id });
+        });
+    }
+    if (target !== 'nodes') {
+        graphData.edges.forEach(edge => {
+            if (!isEdgeFailed(edge.source, edge.target)) {
+                candidates.push({ edgeKey: getEdgeKey(edge.source, edge.target), source: edge.source, target: edge.target });
+            }
+        });
+    }
+    // Partial Fisher–Yates shuffle, skipping links that an endpoint picked earlier already takes down
+    const random = createSeededRandom(seed);
+    const picked = [];
+    const pickedNodes = new Set();
+    for (let i = 0; i < candidates.length && picked.length < count; i++) {
+        const j = i + Math.floor(random() * (candidates.length - i));
+        [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        const candidate = candidates[i];
+        if (candidate.edgeKey && (pickedNodes.has(candidate.source) || pickedNodes.has(candidate.target))) continue;
+        if (candidate.nodeId !== undefined) pickedNodes.add(candidate.nodeId);
+        picked.push(candidate);
+    }
+    if (picked.length === 0) return;
+    const interval = Math.ceil(picked.length / RESILIENCE_BATCH_POINTS);
+    picked.forEach((element, i) => {
+        failElement(element, false, (i + 1) % interval === 0 || i === picked.length - 1);
+    });
+    recomputeSurvivingMetrics();
+}
+
+// Size of the largest connected component of the surviving graph and its diameter and average
+// path length. Whole-graph metrics turn "Disconnected" at the first split, so the resilience
+// curve follows the giant component instead. On large graphs the distances are measured from
+// sampled sources (pickResilienceSources), so the diameter is a lower bound and `sampled` is set.
+function measureResilience() {
+    const surviving = getSurvivingGraph();
+    const { offsets, targets } = buildCSRAdjacency(surviving, buildAdjacencyList(surviving));
+    const n = surviving.nodes.length;
+
+    // Connected components
+    const component = new Int32Array(n).fill(-1);
+    const queue = new Int32Array(n);
+    let components = 0;
+    let giantComponent = -1;
+    let giantSize = 0;
+    for (let start = 0; start < n; start++) {
+        if (component[start] >= 0) continue;
+        component[start] = components;
+        queue[0] = start;
+        let head = 0, tail = 1;
+        while (head < tail) {
+            const u = queue[head++];
+            for (let k = offsets[u]; k < offsets[u + 1]; k++) {
+                if (component[targets[k]] < 0) {
+                    component[targets[k]] = components;
+                    queue[tail++] = targets[k];
+                }
+            }
+        }
+        if (tail > giantSize) {
+            giantSize = tail;
+            giantComponent = components;
+        }
+        components++;
+    }
+
+    // BFS from the members of the giant component (all of them, or a sample)
+    const members = [];
+    component.forEach((c, u) => { if (c === giantComponent) members.push(u); });
+    const sources = pickResilienceSources(members.length, n + targets.length);
+    const dist = new Int32Array(n);
+    let diameter = 0;
+    let distanceSum = 0;
+    sources.forEach(i => {
+        const reached = bfsCSR(offsets, targets, members[i], dist, queue);
+        for (let j = 1; j < reached; j++) {
+            diameter = Math.max(diameter, dist[queue[j]]);
+            distanceSum += dist[queue[j]];
+        }
+    });
+    const pairs = sources.length * (giantSize - 1);
+
+    return {
+        failures: failedNodes.size + failedEdges.size,
+        components: components,
+        giantComponent: giantSize,
+        diameter: diameter,
+        avgPathLength: pairs > 0 ? parseFloat((distanceSum / pairs).toFixed(3)) : 0,
+        sampled: sources.length < members.length
+    };
+}
+
+function updateFailurePanel() {
+    const failures = failedNodes.size + failedEdges.size;
+    const latest = resilienceHistory[resilienceHistory.length - 1];
+    if (failures === 0 || !latest) {
+        failureSummaryDiv.textContent = 'No failures.';
+    } else {
+        const share = graphData.nodes.length > 0 ? (latest.giantComponent / graphData.nodes.length * 100).toFixed(1) : 0;
+        failureSummaryDiv.textContent = `Failed: ${failedNodes.size} nodes, ${failedEdges.size} links. ` +
+            `Components: ${latest.components}, giant: ${latest.giantComponent}/${graphData.nodes.length} (${share}%)` +
+            (latest.sampled ? `. Diameter and path length estimated from ${RESILIENCE_SAMPLE_SOURCES} sampled sources.` : '');
+    }
+
+    // Diameter and ASPL share the hop scale; the giant component is a fraction of all nodes
+    const total = graphData.nodes.length || 1;
+    drawLineChart(document.getElementById('resilienceChart'), resilienceHistory.map(entry => entry.failures), [
+        { values: resilienceHistory.map(entry => entry.diameter), color: '#ff6b6b' },
+        { values: resilienceHistory.map(entry => entry.avgPathLength), color: '#ffd93d' },
+        { values: resilienceHistory.map(entry => entry.giantComponent / total), color: '#00aaff', max: 1 }
+    ], { leftLabel: 'max {max} hops', rightLabel: '100%' });
+}
+
+// --- Visualization Functions ---
+function clearVisualization() {
+    clearHighlights();
+    stopForceLayout(); // It moves the nodes being removed
+    stopHypercubeRotation(); // So does the rotation, which is only valid for the drawn hypercube
+    hypercubeRotation = null;
+    if (nodeDrag) {
+        nodeDrag = null;
+        controls.enabled = true;
+    }
+    layoutStatusDiv.textContent = '';
+    [nodeInstances, edgeSegments].forEach(object => {
+        if (!object) return;
+        scene.remove(object);
+        object.geometry.dispose(); // Materials are shared
+    });
+    nodeInstances = null;
+    edgeSegments = null;
+    nodeMeshMap.clear();
+    edgeMeshMap.clear();
+}
+
+// Drawn color of a material. Instances and merged segments can't have their own opacity, so a
+// transparent material is blended into the background instead.
+function getMaterialColor(material, target = new THREE.Color()) {
+    target.copy(material.color);
+    if (material.transparent) target.lerp(scene.background, 1 - material.opacity);
+    return target;
+}
+
+// Drawn glow of a material (emissive color times intensity), faded by its opacity if transparent
+function getMaterialEmissive(material, target = new THREE.Color()) {
+    if (!material.emissive) return target.setRGB(0, 0, 0);
+    target.copy(material.emissive).multiplyScalar(material.emissiveIntensity ?? 1);
+    if (material.transparent) target.multiplyScalar(material.opacity);
+    return target;
+}
+
+// Color a node instance (an entry of nodeMeshMap) in `instances` like `material`, glow included
+function colorNodeInstance(instances, node, material) {
+    instances.setColorAt(node.index, getMaterialColor(material));
+    instances.instanceColor.needsUpdate = true;
+    const emissive = getMaterialEmissive(material);
+    const emissives = instances.geometry.attributes.instanceEmissive;
+    emissives.setXYZ(node.index, emissive.r, emissive.g, emissive.b);
+    emissives.needsUpdate = true;
+}
+
+// Color every vertex of an edge's segments (an entry of edgeMeshMap) in `segments` like `material`
+function colorEdgeSegments(segments, edge, material) {
+    const color = getMaterialColor(material);
+    const colors = segments.geometry.attributes.color;
+    for (let i = edge.firstVertex; i < edge.firstVertex + edge.vertexCount; i++) {
+        colors.setXYZ(i, color.r, color.g, color.b);
+    }
+    colors.needsUpdate = true;
+}
+
+function setNodeMaterial(node, material) {
+    node.material = material;
+    colorNodeInstance(nodeInstances, node, material);
+}
+
+function setEdgeMaterial(edge, material) {
+    edge.material = material;
+    colorEdgeSegments(edgeSegments, edge, material);
+}
+
+// Id of the node under the pointer (raycaster already set up), or null
+function pickNode() {
+    if (!nodeInstances) return null;
+    const hit = raycaster.intersectObject(nodeInstances)[0];
+    return hit ? nodeInstances.userData.nodeIds[hit.instanceId] : null;
+}
+
+// Drawn edge (entry of edgeMeshMap) under the pointer, or null
+function pickEdge() {
+    if (!edgeSegments) return null;
+    raycaster.params.Line.threshold = NODE_RADIUS / 2; // Lines are infinitely thin; allow a margin
+    const hit = raycaster.intersectObject(edgeSegments)[0];
+    return hit ? edgeSegments.userData.segmentEdges[Math.floor(hit.index / 2)] : null;
+}
+
+// Where each point of an edge's line sits relative to the straight line from `from` to `to` (its
+// end nodes): a fraction along that line plus an offset, so curved edges keep their shape when
+// the nodes move
+function describeEdgeShape(points, from, to) {
+    const chord = new THREE.Vector3().subVectors(to, from);
+    const lengthSq = chord.lengthSq();
+    return points.map(point => {
+        const t = lengthSq > 0 ? new THREE.Vector3().subVectors(point, from).dot(chord) / lengthSq : 0;
+        return { t: t, offset: new THREE.Vector3().subVectors(point, from).addScaledVector(chord, -t) };
+    });
+}
+
+// Redraw the nodes at their (changed) `position` and bend every edge to follow its end nodes. With
+// `nodeIds` only those nodes and their links are redrawn.
+function updateDrawnPositions(nodeIds = null) {
+    if (!nodeInstances) return;
+    const moved = nodeIds ? new Set(nodeIds) : null;
+    const matrix = new THREE.Matrix4();
+    (moved ? [...moved].map(id => nodeMeshMap.get(id)) : nodeMeshMap).forEach(mesh => {
+        nodeInstances.setMatrixAt(mesh.index, matrix.makeTranslation(mesh.position.x, mesh.position.y, mesh.position.z));
+    });
+    nodeInstances.instanceMatrix.needsUpdate = true;
+
+    const positions = edgeSegments.geometry.attributes.position;
+    edgeMeshMap.forEach(line => {
+        if (moved && !moved.has(line.userData.source) && !moved.has(line.userData.target)) return;
+        const from = nodeMeshMap.get(line.userData.source).position;
+        const to = nodeMeshMap.get(line.userData.target).position;
+        line.points.forEach((point, i) => point.lerpVectors(from, to, line.shape[i].t).add(line.shape[i].offset));
+        for (let i = 1; i < line.points.length; i++) {
+            const vertex = line.firstVertex + (i - 1) * 2;
+            const a = line.points[i - 1];
+            const b = line.points[i];
+            positions.setXYZ(vertex, a.x, a.y, a.z);
+            positions.setXYZ(vertex + 1, b.x, b.y, b.z);
+        }
+    });
+    positions.needsUpdate = true;
+    edgeSegments.geometry.computeBoundingSphere(); // Used for raycasting and culling
+}
+
+// --- Highlighting and Path Finding ---
+
+// Resting material of every node/link (what clearHighlights goes back to): failed elements first,
+// then cut vertices/bridges (if shown), then the hypercube bit coloring (if chosen), then
+// per-component colors, else the layout material
+function refreshBaseMaterials() {
+    const metrics = currentMetrics;
+    const showCutElements = showCutElementsCheckbox.checked && metrics;
+    const cutVertices = new Set(showCutElements ? metrics.articulationPoints : []);
+    const bridges = new Set(showCutElements ? metrics.bridges.map(([u, v]) => getEdgeKey(u, v)) : []);
+    const colorBit = hypercubeColorBitSelect.value === 'none' ? null : Number(hypercubeColorBitSelect.value);
+    const colorComponents = metrics && metrics.componentCount > 1;
+    const metricIndex = getMetricIndex();
+
+    nodeMeshMap.forEach((mesh, nodeId) => {
+        const binary = graphData.nodes[mesh.index]?.binary; // Instance i is graphData.nodes[i]
+        let material = NODE_MATERIAL;
+        if (failedNodes.has(nodeId)) {
+            material = FAILED_NODE_MATERIAL;
+        } else if (cutVertices.has(nodeId)) {
+            material = CUT_VERTEX_MATERIAL;
+        } else if (colorBit !== null && binary) {
+            material = BIT_NODE_MATERIALS[binary[binary.length - 1 - colorBit] === '1' ? 1 : 0]; // Bit 0 is the last character
+        } else if (colorComponents) {
+            const component = metrics.perNode.component[metricIndex.get(nodeId)];
+            material = COMPONENT_NODE_MATERIALS[component % COMPONENT_NODE_MATERIALS.length];
+        }
+        mesh.userData.baseMaterial = material;
+        if (!highlightedElements.nodes.has(mesh)) setNodeMaterial(mesh, material);
+    });
+    edgeMeshMap.forEach((line, key) => {
+        const { source, target, layoutMaterial } = line.userData;
+        let material = layoutMaterial;
+        if (isEdgeFailed(source, target)) {
+            material = FAILED_EDGE_MATERIAL;
+        } else if (trafficResult) {
+            material = getHeatmapMaterial(trafficResult.maxLoad > 0 ? (trafficResult.linkLoads.get(key) || 0) / trafficResult.maxLoad : 0);
+        } else if (bridges.has(key)) {
+            material = BRIDGE_EDGE_MATERIAL;
+        }
+        line.userData.baseMaterial = material;
+        if (!highlightedElements.edges.has(line)) setEdgeMaterial(line, material);
+    });
+}
+
+function clearHighlights() {
+    // --- Cancel pending animations ---
+    activeHighlightTimeouts.forEach(timeoutId => clearTimeout(timeoutId));
+    activeHighlightTimeouts.clear();
+
+    // Reset node materials
+    highlightedElements.nodes.forEach(mesh => {
+        setNodeMaterial(mesh, mesh.userData.baseMaterial || ORIGINAL_NODE_MATERIAL);
+    });
+
+    // Reset edge materials/colors
+    highlightedElements.edges.forEach(line => {
+        setEdgeMaterial(line, line.userData.baseMaterial || ORIGINAL_EDGE_MATERIAL); // Reset to the resting material
+    });
+
+    highlightedElements = { nodes: new Set(), edges: new Set() }; // Clear the tracking sets
+    selectedSourceNodeId = null;
+    pathQuerySourceId = null;
+    editSelectedNodeId = null;
+    pathQueryInfoDiv.textContent = '';
+    clearActiveLightningBolts(); // Clear active lightning bolts
+}
+
+function reconstructPath(source, target, predecessors) {
+    const path = [target];
+    let current = target;
+    let safety = 0; // Prevent infinite loops in case of error
+    const maxPathLength = predecessors.size;
+
+    while (current !== source && safety < maxPathLength) {
+        const prev = predecessors.get(current);
+        if (prev === null || prev === undefined) {
+            console.error(`Error reconstructing path: No predecessor found for node ${current}`);
+            return null; // Path reconstruction failed
+        }
+        path.unshift(prev);
+        current = prev;
+        safety++;
+    }
+
+    if (current !== source) {
+        console.error(`Error reconstructing path: Loop detected or source not reached.`);
+        return null;
+    }
+
+    return path; // Array of node IDs from source to target
+}
+
+function createProgressiveLightningBolt(source, target, duration = 1000, isPersistent = false) {
+    // Validate inputs
+    if (!source || !target || 
+        !(source instanceof THREE.Vector3) || 
+        !(target instanceof THREE.Vector3)) {
+        console.error('Invalid source or target vectors for lightning bolt', { source, target });
+        return null; // Return null instead of creating an invalid bolt
+    }
+    
+    const group = new THREE.Group();
+    activeLightningBolts.push(group);
+
+    const rayCount = 5; // Number of rays per lightning bolt
+    const bolts = [];
+
+    // Define parameters for progression
+    const progressionDuration = 500; // Time to travel from source to target (ms)
+    const progressionStartDelay = 100; // Slight delay before starting (ms)
+
+    for (let i = 0; i < rayCount; i++) {
+        // Create material with energy-like properties - Use Greenish base
+        const boltMaterial = new THREE.MeshStandardMaterial({
+            color: 0x99ff99, // Match path node color
+            transparent: true,
+            opacity: 0.7,
+            emissive: 0xccffcc, // Lighter green emissive
+            emissiveIntensity: 2.0,
+            side: THREE.DoubleSide
+        });
+
+        // Initially create an empty bolt
+        const emptyGeometry = new THREE.BufferGeometry();
+        const bolt = new THREE.Mesh(emptyGeometry, boltMaterial);
+        bolt.layers.enable(1); // Enable bloom layer
+        group.add(bolt);
+
+        // Store references to the bolt components
+        bolts.push({
+            bolt: bolt,
+            boltGeometry: emptyGeometry,
+            boltMaterial: boltMaterial,
+            progress: 0, // Track progress from 0-1
+            // Add slight variation in progression timing per bolt
+            progressionSpeed: 1.0 + (Math.random() * 0.4 - 0.2) // 0.8-1.2x speed variation
+        });
+    }
+
+    scene.add(group);
+
+    // Animate the lightning bolts
+    const startTime = performance.now();
+    let lastUpdateTime = startTime;
+    const updateInterval = 16; // ~60fps
+
+    // Keep track if this bolt's animation loop should continue
+    let continueAnimation = true;
+
+    function animateBolts() {
+        // *** ADD CHECK: Stop if the group is no longer active or told to stop ***
+        if (!continueAnimation || !activeLightningBolts.includes(group)) {
+            // Ensure resources are cleaned up if removed externally
+            if (!scene.children.includes(group)) { // Check if already removed
+                 bolts.forEach(({ bolt, boltGeometry, boltMaterial }) => {
+                    // Check if geometry/material still exist before disposing
+                    if (boltGeometry) boltGeometry.dispose();
+                    if (boltMaterial) boltMaterial.dispose();
+                });
+            }
+            // Ensure group is removed if it wasn't already
+            else {
+                scene.remove(group);
+            }
+            // Ensure it's removed from the tracking array if somehow still present
+            const index = activeLightningBolts.indexOf(group);
+            if (index > -1) {
+                activeLightningBolts.splice(index, 1);
+            }
+            return; // Stop the animation loop
+        }
+
+        try {
+            const currentTime = performance.now();
+            const elapsedTime = currentTime - startTime;
+            const timeSinceLastUpdate = currentTime - lastUpdateTime;
+
+            // For non-persistent bolts, signal to stop after duration
+            if (!isPersistent && elapsedTime > duration) {
+                // Set flag to stop animation on the next frame check
+                continueAnimation = false;
+                // Don't remove from scene/array here, let the check at the top handle it
+            }
+
+            // Only update the bolts every updateInterval milliseconds
+            if (timeSinceLastUpdate > updateInterval) {
+                lastUpdateTime = currentTime;
+
+                // Update each bolt individually
+                for (let i = 0; i < bolts.length; i++) {
+                    const bolt = bolts[i];
+
+                    try {
+                        // Calculate progression based on elapsed time
+                        if (elapsedTime > progressionStartDelay) {
+                            const progressionTime = elapsedTime - progressionStartDelay;
+
+                            // If this is a repeating bolt (persistent or we're within duration)
+                            if (isPersistent || progressionTime < duration) {
+                                // Calculate cycle time (for repeating bolts)
+                                const cycleTime = progressionTime % (progressionDuration + 200);
+
+                                if (cycleTime <= progressionDuration) {
+                                    // During progression phase
+                                    bolt.progress = (cycleTime / progressionDuration) * bolt.progressionSpeed;
+                                    bolt.progress = Math.min(bolt.progress, 1.0); // Clamp to 1.0
+                                } else {
+                                    // Reset phase (brief pause before next bolt)
+                                    bolt.progress = 0;
+                                    // Generate new bolt parameters for variety
+                                    bolt.progressionSpeed = 1.0 + (Math.random() * 0.4 - 0.2);
+                                }
+                            }
+                        }
+
+                        // Remove old geometry
+                        group.remove(bolt.bolt);
+                        bolt.boltGeometry.dispose();
+
+                        // Generate complete path
+                        const fullPath = generateLightningPath(source, target);
+
+                        // Create partial path based on progress
+                        let visiblePath;
+                        if (bolt.progress <= 0) {
+                            // At the beginning, just show a point
+                            visiblePath = [fullPath[0]];
+                        } else if (bolt.progress >= 1) {
+                            // At the end, show full path
+                            visiblePath = fullPath;
+                        } else {
+                            // During progression, show partial path
+                            const endIndex = Math.floor(fullPath.length * bolt.progress);
+                            visiblePath = fullPath.slice(0, endIndex + 1);
+                        }
+
+                        // Make sure we have at least 2 points for the curve
+                        if (visiblePath.length < 2) {
+                            if (visiblePath.length === 1) {
+                                // If we only have one point, duplicate it slightly offset
+                                const p = visiblePath[0].clone();
+                                p.x += 0.01;
+                                p.y += 0.01;
+                                p.z += 0.01;
+                                visiblePath.push(p);
+                            } else {
+                                // If we have no points, use source and target
+                                visiblePath = [source.clone(), target.clone()];
+                            }
+                        }
+
+                        // Create curve from visible path
+                        const curve = new THREE.CatmullRomCurve3(visiblePath);
+
+                        // Create new geometry based on progress
+                        let newGeometry;
+                        try {
+                            newGeometry = new THREE.TubeGeometry(
+                                curve,
+                                64,  // tubularSegments
+                                0.05 + Math.random() * 0.1, // radius variation
+                                8,   // radiusSegments
+                                false // closed
+                            );
+                        } catch (error) {
+                            console.warn('Error creating tube geometry:', error);
+                            // Fallback to simple line geometry if tube fails
+                            newGeometry = new THREE.BufferGeometry().setFromPoints(visiblePath);
+                        }
+
+                        // Create new bolt mesh
+                        const newBolt = new THREE.Mesh(newGeometry, bolt.boltMaterial);
+                        newBolt.layers.enable(1);
+                        group.add(newBolt);
+
+                        // Update references
+                        bolt.bolt = newBolt;
+                        bolt.boltGeometry = newGeometry;
+
+                        // Update material with controlled colors and intensities
+                        const baseHue = 0.33; // Greenish hue
+                        const hueVariation = 0.1;
+                        const hue = (baseHue + (Math.random() * hueVariation - hueVariation / 2)) % 1;
+
+                        bolt.boltMaterial.color.setHSL(hue, 1, 0.7); // Lighter green base color
+                        bolt.boltMaterial.emissive.setHSL(hue, 1, 0.8); // Bright emissive
+
+                        // Pulse intensity based on progression
+                        const pulseBase = 1.0 + Math.sin(currentTime * 0.002) * 0.5;
+                        const flicker = Math.random() * 0.5;
+                        bolt.boltMaterial.emissiveIntensity = pulseBase + flicker;
+
+                        // Tip glow: make the front part of the bolt brighter
+                        if (bolt.progress > 0 && bolt.progress < 1) {
+                            // Enhance brightness at the tip of the progressing bolt
+                            bolt.boltMaterial.emissiveIntensity += (1 - bolt.progress) * 2;
+                        }
+
+                        bolt.boltMaterial.needsUpdate = true;
+                    } catch (boltError) {
+                        console.error('Error updating bolt:', boltError);
+                    }
+                }
+            }
+
+            // Schedule next frame only if animation should continue
+            // Check continueAnimation again before scheduling
+            if (continueAnimation && activeLightningBolts.includes(group)) {
+                 requestAnimationFrame(animateBolts);
+            }
+
+        } catch (error) {
+            console.error('Error in animateBolts function:', error);
+            // Stop animation on error to prevent loops
+            continueAnimation = false;
+            const index = activeLightningBolts.indexOf(group);
+            if (index > -1) {
+                activeLightningBolts.splice(index, 1);
+            }
+            if (scene.children.includes(group)) {
+                scene.remove(group);
+            }
+        }
+    }
+
+    // Add a function to explicitly stop this bolt's animation
+    group.userData.stopAnimation = () => {
+        continueAnimation = false;
+        // No need to remove from activeLightningBolts here,
+        // the check at the start of animateBolts will handle cleanup.
+    };
+
+    animateBolts();
+    return group;
+}
+
+function generateLightningPath(source, target) {
+    // Make sure source and target are valid Vector3 objects
+    if (!(source instanceof THREE.Vector3) || !(target instanceof THREE.Vector3)) {
+        console.error('Invalid source or target for lightning path', { source, target });
+        // Create default vectors if input is invalid
+        source = source instanceof THREE.Vector3 ? source : new THREE.Vector3(0, 0, 0);
+        target = target instanceof THREE.Vector3 ? target : new THREE.Vector3(0, 0, 1);
+    }
+    
+    const points = [];
+    const segments = 10; // Number of segments in the lightning bolt
+    
+    // Clone source and target to avoid modifying originals
+    const sourceVector = source.clone();
+    const targetVector = target.clone();
     
     // Calculate direction and segment length
     const direction = new THREE.Vector3().subVectors(targetVector, sourceVector);
@@ -1033,298 +3964,2566 @@ function generateLightningPath(source, target) {
         targetVector.z += 0.1;
         direction.subVectors(targetVector, sourceVector);
     }
-    
-    const segmentLength = direction.length() / segments;
-    direction.normalize();
+    
+    const segmentLength = direction.length() / segments;
+    direction.normalize();
+
+    // Always add starting point
+    points.push(sourceVector.clone());
+
+    // Add intermediate points with randomization
+    for (let j = 1; j < segments; j++) {
+        const point = sourceVector.clone().add(direction.clone().multiplyScalar(j * segmentLength));
+
+        // Add randomness to create jagged effect
+        point.x += (Math.random() - 0.5) * segmentLength * 1.5;
+        point.y += (Math.random() - 0.5) * segmentLength * 1.5;
+        point.z += (Math.random() - 0.5) * segmentLength * 1.5;
+
+        points.push(point);
+    }
+
+    // Always add ending point
+    points.push(targetVector.clone());
+
+    // Validate that all points are valid Vector3 objects
+    const validPoints = points.filter(p => 
+        p && p instanceof THREE.Vector3 && 
+        typeof p.x === 'number' && 
+        typeof p.y === 'number' && 
+        typeof p.z === 'number' && 
+        !isNaN(p.x) && !isNaN(p.y) && !isNaN(p.z)
+    );
+
+    // Ensure we have at least 2 points
+    if (validPoints.length < 2) {
+        console.warn('Not enough valid points for lightning path, using fallback');
+        return [sourceVector.clone(), targetVector.clone()];
+    }
+
+    // Create a smooth curve using CatmullRomCurve3
+    const curve = new THREE.CatmullRomCurve3(validPoints);
+    return curve.getPoints(segments * 10); // Increase points for smoother curve
+}
+
+function clearActiveLightningBolts() {
+    // Create a copy of the array to iterate over, as stopAnimation might modify the original array indirectly
+    const boltsToClear = [...activeLightningBolts];
+    boltsToClear.forEach(group => {
+        // Call the stop function if it exists
+        if (group.userData && typeof group.userData.stopAnimation === 'function') {
+            group.userData.stopAnimation();
+        }
+        // Remove from scene and dispose resources immediately
+        // The animation loop check will prevent errors on the next frame
+        scene.remove(group);
+        group.children.forEach(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    });
+    activeLightningBolts = []; // Clear the main tracking array
+}
+
+// Update the highlight function to use persistent lightning bolts
+function highlightDiameterPath(sourceNodeId) {
+    clearHighlights(); // Clear previous state & cancel animations
+    selectedSourceNodeId = sourceNodeId;
+
+    if (!adjacencyList || adjacencyList.size === 0) return;
+
+    const { distances, predecessors } = bfs(sourceNodeId, adjacencyList, graphData.nodes);
+
+    let maxDistance = 0;
+    let furthestNodesIds = [];
+
+    // Find the maximum distance and furthest nodes
+    distances.forEach((dist, nodeId) => {
+        if (dist !== Infinity) {
+            if (dist > maxDistance) {
+                maxDistance = dist;
+                furthestNodesIds = [nodeId];
+            } else if (dist === maxDistance) {
+                furthestNodesIds.push(nodeId);
+            }
+        }
+    });
+
+    if (maxDistance === 0) {
+        const sourceMesh = nodeMeshMap.get(sourceNodeId);
+        if (sourceMesh) {
+            setNodeMaterial(sourceMesh, HIGHLIGHT_NODE_MATERIAL);
+            highlightedElements.nodes.add(sourceMesh);
+        }
+        return;
+    }
+
+    // Highlight source node
+    const sourceMesh = nodeMeshMap.get(sourceNodeId);
+    if (sourceMesh) {
+        setNodeMaterial(sourceMesh, HIGHLIGHT_NODE_MATERIAL);
+        highlightedElements.nodes.add(sourceMesh);
+    }
+
+    // Create lightning bolts for each path
+    furthestNodesIds.forEach(targetNodeId => {
+        const pathNodeIds = reconstructPath(sourceNodeId, targetNodeId, predecessors);
+        if (pathNodeIds && pathNodeIds.length > 1) {
+            // Highlight intermediate path nodes
+            for (let i = 1; i < pathNodeIds.length - 1; i++) {
+                const nodeMesh = nodeMeshMap.get(pathNodeIds[i]);
+                if (nodeMesh) {
+                    setNodeMaterial(nodeMesh, PATH_NODE_MATERIAL);
+                    highlightedElements.nodes.add(nodeMesh);
+                }
+            }
+
+            // Highlight target node
+            const targetMesh = nodeMeshMap.get(targetNodeId);
+            if (targetMesh) {
+                setNodeMaterial(targetMesh, HIGHLIGHT_NODE_MATERIAL);
+                highlightedElements.nodes.add(targetMesh);
+            }
+
+            // Create animated lightning bolts between each pair of nodes
+            for (let i = 1; i < pathNodeIds.length; i++) {
+                const sourceId = pathNodeIds[i - 1];
+                const targetId = pathNodeIds[i];
+
+                const sourceMesh = nodeMeshMap.get(sourceId);
+                const targetMesh = nodeMeshMap.get(targetId);
+
+                if (sourceMesh && targetMesh) {
+                    // Use the new progressive lightning function with timing based on position in path
+                    scheduleLightningBolt(sourceMesh, targetMesh, (i - 1) * 300); // Staggered delay for each segment
+                }
+            }
+        }
+    });
+}
+
+// Start a persistent lightning bolt between two highlighted nodes after `delay` ms
+function scheduleLightningBolt(sourceMesh, targetMesh, delay) {
+    // Store the timeout ID so it can be cleared
+    const timeoutId = setTimeout(() => {
+        // Remove this ID from the active set once the timeout fires
+        activeHighlightTimeouts.delete(timeoutId);
+        // Only create the bolt if highlights haven't been cleared in the meantime
+        // (Checking if source/target nodes are still highlighted is a proxy)
+        if (highlightedElements.nodes.has(sourceMesh) && highlightedElements.nodes.has(targetMesh)) {
+            createProgressiveLightningBolt(sourceMesh.position, targetMesh.position, 3000, true);
+        }
+    }, delay);
+    // Add the timeout ID to the set immediately
+    activeHighlightTimeouts.add(timeoutId);
+}
+
+// --- Point-to-Point Shortest-Path Query ---
+// First click picks the source, second click the destination; then every equal-cost shortest
+// path between them is highlighted, and a few links per hop level are animated
+
+function selectPathQueryNode(nodeId) {
+    if (pathQuerySourceId === null || pathQuerySourceId === nodeId) {
+        clearHighlights();
+        pathQuerySourceId = nodeId;
+        const sourceMesh = nodeMeshMap.get(nodeId);
+        if (sourceMesh) {
+            setNodeMaterial(sourceMesh, HIGHLIGHT_NODE_MATERIAL);
+            highlightedElements.nodes.add(sourceMesh);
+        }
+        pathQueryInfoDiv.textContent = `Source: node ${nodeId}. Click a destination.`;
+        return;
+    }
+    if (clickModeSelect.value === 'route') {
+        highlightRoute(pathQuerySourceId, nodeId);
+    } else {
+        highlightAllShortestPaths(pathQuerySourceId, nodeId);
+    }
+}
+
+function highlightAllShortestPaths(sourceNodeId, targetNodeId) {
+    clearHighlights();
+    const { distances, predecessorLists, pathCounts } = bfs(sourceNodeId, adjacencyList, graphData.nodes);
+    const hops = distances.get(targetNodeId);
+
+    const highlightNode = (nodeId, material) => {
+        const mesh = nodeMeshMap.get(nodeId);
+        if (mesh) {
+            setNodeMaterial(mesh, material);
+            highlightedElements.nodes.add(mesh);
+        }
+    };
+    highlightNode(sourceNodeId, HIGHLIGHT_NODE_MATERIAL);
+    highlightNode(targetNodeId, HIGHLIGHT_NODE_MATERIAL);
+    if (hops === undefined || hops === Infinity) {
+        pathQueryInfoDiv.textContent = `Node ${targetNodeId} is unreachable from node ${sourceNodeId}.`;
+        return;
+    }
+
+    // Walk the shortest-path DAG back from the target: every link on it lies on some shortest path
+    const dagEdges = [];
+    const visited = new Set([targetNodeId]);
+    const queue = [targetNodeId];
+    for (let head = 0; head < queue.length; head++) {
+        const v = queue[head];
+        predecessorLists.get(v).forEach(u => {
+            dagEdges.push([u, v]);
+            if (!visited.has(u)) {
+                visited.add(u);
+                queue.push(u);
+                if (u !== sourceNodeId) highlightNode(u, PATH_NODE_MATERIAL);
+            }
+        });
+    }
+
+    // Animate the paths together, one hop level at a time, with at most PATH_BOLTS_PER_LEVEL bolts each
+    const boltsPerLevel = new Map();
+    dagEdges.forEach(([u, v]) => {
+        const line = edgeMeshMap.get(getEdgeKey(u, v));
+        if (line) {
+            setEdgeMaterial(line, PATH_EDGE_MATERIAL);
+            highlightedElements.edges.add(line);
+        }
+        const level = distances.get(u);
+        const bolts = boltsPerLevel.get(level) || 0;
+        const sourceMesh = nodeMeshMap.get(u);
+        const targetMesh = nodeMeshMap.get(v);
+        if (bolts < PATH_BOLTS_PER_LEVEL && sourceMesh && targetMesh) {
+            boltsPerLevel.set(level, bolts + 1);
+            scheduleLightningBolt(sourceMesh, targetMesh, level * 300);
+        }
+    });
+
+    const pathCount = pathCounts.get(targetNodeId);
+    pathQueryInfoDiv.textContent = `Node ${sourceNodeId} → ${targetNodeId}: ${hops} hops, ` +
+        `${pathCount} shortest ${pathCount === 1 ? 'path' : 'paths'}`;
+}
+
+// --- Routing Algorithms ---
+// Routing functions for lattice topologies (mesh, torus, k-ary n-cube, hypercube) work on
+// coordinate vectors; "shortest" (a BFS shortest path) works on any graph. A route is an array of
+// node ids from source to destination, possibly revisiting nodes (Valiant).
+
+const ROUTING_ALGORITHMS = {
+    shortest: 'Shortest path (BFS)',
+    dor: 'Dimension-order (XY)',
+    ecube: 'E-cube',
+    valiant: 'Valiant (randomized)',
+    adaptive: 'Minimal adaptive'
+};
+
+// Algorithms offered for a topology type
+function getRoutingAlgorithms(type) {
+    if (type === 'hypercube') return ['ecube', 'valiant', 'adaptive', 'shortest'];
+    if (type === 'mesh' || type === 'torus' || type === 'ncube') return ['dor', 'valiant', 'adaptive', 'shortest'];
+    return ['shortest'];
+}
+
+function updateRoutingOptions(type) {
+    const previous = routingAlgorithmSelect.value;
+    const algorithms = getRoutingAlgorithms(type);
+    routingAlgorithmSelect.innerHTML = '';
+    algorithms.forEach(algorithm => {
+        const option = document.createElement('option');
+        option.value = algorithm;
+        option.textContent = ROUTING_ALGORITHMS[algorithm];
+        routingAlgorithmSelect.appendChild(option);
+    });
+    // e-cube is dimension-order routing on a hypercube, so keep the choice when switching
+    const equivalent = { dor: 'ecube', ecube: 'dor' }[previous];
+    routingAlgorithmSelect.value = algorithms.includes(previous) ? previous
+        : (algorithms.includes(equivalent) ? equivalent : algorithms[0]);
+}
+
+// Coordinate view of a lattice topology: coords (node id -> vector), the size of each dimension,
+// which dimensions wrap around, and idOf (vector -> node id). null for non-lattice topologies.
+function getRoutingLattice(graph, type) {
+    let coordsOf;
+    if (type === 'mesh' || type === 'torus') {
+        coordsOf = node => [node.col, node.row]; // X (columns) is routed first
+    } else if (type === 'ncube') {
+        coordsOf = node => node.coords;
+    } else if (type === 'hypercube') {
+        const d = getHypercubeDimension(graph);
+        coordsOf = node => Array.from({ length: d }, (_, bit) => (node.id >> bit) & 1); // Lowest bit first
+    } else {
+        return null;
+    }
+
+    const coords = new Map(graph.nodes.map(node => [node.id, coordsOf(node)]));
+    const dimensions = graph.nodes.length > 0 ? coords.get(graph.nodes[0].id).length : 0;
+    const sizes = new Array(dimensions).fill(1);
+    coords.forEach(vector => vector.forEach((c, i) => { sizes[i] = Math.max(sizes[i], c + 1); }));
+    const wrap = sizes.map((size, i) => type === 'torus' ||
+        (type === 'ncube' && graph.edges.some(edge => edge.wrap && edge.dim === i)));
+    const idByCoords = new Map(graph.nodes.map(node => [coords.get(node.id).join(','), node.id]));
+
+    return { coords, sizes, wrap, idOf: vector => idByCoords.get(vector.join(',')) };
+}
+
+// Minimal step (+1 or -1) and hop count from a to b along one dimension
+function latticeOffset(lattice, dimension, a, b) {
+    const size = lattice.sizes[dimension];
+    if (!lattice.wrap[dimension]) return { direction: Math.sign(b - a), hops: Math.abs(b - a) };
+    const forward = (b - a + size) % size;
+    return forward <= size - forward
+        ? { direction: forward > 0 ? 1 : 0, hops: forward }
+        : { direction: -1, hops: size - forward };
+}
+
+// Dimension-order routing: correct dimension 0 completely, then dimension 1, ... (XY routing on a
+// mesh/torus, e-cube routing on a hypercube)
+function routeDimensionOrder(lattice, sourceId, targetId) {
+    const current = lattice.coords.get(sourceId).slice();
+    const target = lattice.coords.get(targetId);
+    const path = [sourceId];
+    current.forEach((_, d) => {
+        const { direction, hops } = latticeOffset(lattice, d, current[d], target[d]);
+        for (let i = 0; i < hops; i++) {
+            current[d] = (current[d] + direction + lattice.sizes[d]) % lattice.sizes[d];
+            path.push(lattice.idOf(current));
+        }
+    });
+    return path;
+}
+
+// Minimal adaptive routing: every hop moves along any dimension that still brings the packet
+// closer, preferring the least loaded link (linkLoad: edge key -> load), ties broken at random
+function routeMinimalAdaptive(lattice, sourceId, targetId, random = Math.random, linkLoad = null) {
+    const current = lattice.coords.get(sourceId).slice();
+    const target = lattice.coords.get(targetId);
+    const path = [sourceId];
+    let currentId = sourceId;
+    while (currentId !== targetId) {
+        let best = null;
+        let bestLoad = Infinity;
+        let ties = 0;
+        current.forEach((c, d) => {
+            const { direction, hops } = latticeOffset(lattice, d, c, target[d]);
+            if (hops === 0) return;
+            const next = current.slice();
+            next[d] = (c + direction + lattice.sizes[d]) % lattice.sizes[d];
+            const nextId = lattice.idOf(next);
+            const load = linkLoad ? (linkLoad.get(getEdgeKey(currentId, nextId)) || 0) : 0;
+            if (load < bestLoad) {
+                best = { next, nextId };
+                bestLoad = load;
+                ties = 1;
+            } else if (load === bestLoad && random() * ++ties < 1) {
+                best = { next, nextId }; // Reservoir choice among equally loaded links
+            }
+        });
+        current.splice(0, current.length, ...best.next);
+        currentId = best.nextId;
+        path.push(currentId);
+    }
+    return path;
+}
+
+// Compute the route of one packet. Returns { path, intermediate } (intermediate: Valiant's
+// random waypoint), or null if the algorithm doesn't apply to the current topology.
+// options: random (number generator), linkLoad (for adaptive routing) and lattice (precomputed
+// getRoutingLattice result, when routing many packets)
+function computeRoute(algorithm, sourceId, targetId, options = {}) {
+    const random = options.random || Math.random;
+    if (algorithm === 'shortest') {
+        const { distances, predecessors } = bfs(sourceId, adjacencyList, graphData.nodes);
+        if (distances.get(targetId) === Infinity) return { path: null };
+        return { path: reconstructPath(sourceId, targetId, predecessors) };
+    }
+    const lattice = options.lattice || getRoutingLattice(graphData, getStructureType());
+    if (!lattice || !lattice.coords.has(sourceId) || !lattice.coords.has(targetId)) return null;
+    if (algorithm === 'dor' || algorithm === 'ecube') {
+        return { path: routeDimensionOrder(lattice, sourceId, targetId) };
+    } else if (algorithm === 'adaptive') {
+        return { path: routeMinimalAdaptive(lattice, sourceId, targetId, random, options.linkLoad) };
+    } else if (algorithm === 'valiant') {
+        // Route minimally to a random intermediate node first, then on to the destination
+        const intermediate = graphData.nodes[Math.floor(random() * graphData.nodes.length)].id;
+        const firstLeg = routeDimensionOrder(lattice, sourceId, intermediate);
+        const secondLeg = routeDimensionOrder(lattice, intermediate, targetId);
+        return { path: firstLeg.concat(secondLeg.slice(1)), intermediate: intermediate };
+    }
+    return null;
+}
+
+// Show the route the selected algorithm takes between two nodes, next to the BFS optimum
+function highlightRoute(sourceNodeId, targetNodeId) {
+    clearHighlights();
+    const algorithm = routingAlgorithmSelect.value;
+    const route = computeRoute(algorithm, sourceNodeId, targetNodeId);
+    const optimal = bfs(sourceNodeId, adjacencyList, graphData.nodes).distances.get(targetNodeId);
+
+    const highlightNode = (nodeId, material) => {
+        const mesh = nodeMeshMap.get(nodeId);
+        if (mesh && !highlightedElements.nodes.has(mesh)) {
+            setNodeMaterial(mesh, material);
+            highlightedElements.nodes.add(mesh);
+        }
+    };
+    highlightNode(sourceNodeId, HIGHLIGHT_NODE_MATERIAL);
+    highlightNode(targetNodeId, HIGHLIGHT_NODE_MATERIAL);
+    if (!route || !route.path) {
+        pathQueryInfoDiv.textContent = route
+            ? `Node ${targetNodeId} is unreachable from node ${sourceNodeId}.`
+            : `${ROUTING_ALGORITHMS[algorithm]} routing does not apply to this topology.`;
+        return;
+    }
+
+    const path = route.path;
+    if (route.intermediate !== undefined) highlightNode(route.intermediate, HIGHLIGHT_NODE_MATERIAL);
+    let blockedAt = -1; // First hop over a failed link or node
+    for (let i = 1; i < path.length; i++) {
+        highlightNode(path[i], PATH_NODE_MATERIAL);
+        const line = edgeMeshMap.get(getEdgeKey(path[i - 1], path[i]));
+        if (line && !highlightedElements.edges.has(line)) {
+            setEdgeMaterial(line, PATH_EDGE_MATERIAL);
+            highlightedElements.edges.add(line);
+        }
+        if (blockedAt < 0 && !(adjacencyList.get(path[i - 1]) || []).includes(path[i])) blockedAt = i;
+        const sourceMesh = nodeMeshMap.get(path[i - 1]);
+        const targetMesh = nodeMeshMap.get(path[i]);
+        if (sourceMesh && targetMesh) scheduleLightningBolt(sourceMesh, targetMesh, (i - 1) * 300);
+    }
+
+    const hops = path.length - 1;
+    let info = `${ROUTING_ALGORITHMS[algorithm]} ${sourceNodeId} → ${targetNodeId}: ${hops} hops ` +
+        `(BFS optimum ${optimal === Infinity ? 'unreachable' : optimal})`;
+    if (route.intermediate !== undefined) info += `, via node ${route.intermediate}`;
+    if (blockedAt > 0) info += `. Blocked by a failure at hop ${blockedAt}`;
+    pathQueryInfoDiv.textContent = info + '.';
+}
+
+// --- Traffic Analysis ---
+// A traffic pattern is routed over the current graph with every node injecting 1 flit/cycle.
+// Loads are accumulated per link direction (links are full duplex, 1 flit/cycle each way), so the
+// most loaded direction saturates first: saturation throughput = 1 / max link load.
+
+const TRAFFIC_PATTERNS = {
+    uniform: 'Uniform random',
+    transpose: 'Transpose',
+    bitreversal: 'Bit-reversal',
+    bitcomplement: 'Bit-complement',
+    neighbor: 'Nearest-neighbor',
+    hotspot: 'Hotspot',
+    alltoall: 'All-to-all'
+};
+
+// Traffic matrix of a pattern: for each node (in graphData.nodes order) a list of [targetId, rate]
+// whose rates add up to 1. A null targetId spreads its rate evenly over all other nodes (so
+// all-to-all traffic takes one entry per node, not n). Throws if the pattern doesn't apply.
+function buildTrafficMatrix(pattern, options = {}) {
+    const nodes = graphData.nodes;
+    const n = nodes.length;
+    const ids = nodes.map(node => node.id);
+    const bits = Math.log2(n);
+    const requirePowerOfTwo = () => {
+        if (!Number.isInteger(bits) || n < 2) {
+            throw new Error(`${TRAFFIC_PATTERNS[pattern]} traffic needs a power-of-two node count (have ${n}).`);
+        }
+    };
+    // Permutation patterns: node i sends everything to node f(i) (nothing if f(i) = i)
+    const permutation = f => ids.map((id, i) => (f(i) === i ? [] : [[ids[f(i)], 1]]));
+
+    if (pattern === 'uniform') {
+        // Each node sends to a few random destinations (seeded, so repeated runs agree)
+        const random = createSeededRandom(options.seed ?? 1);
+        return ids.map((id, i) => {
+            if (n < 2) return [];
+            const rates = new Map();
+            for (let k = 0; k < TRAFFIC_UNIFORM_SAMPLES; k++) {
+                let j = Math.floor(random() * (n - 1));
+                if (j >= i) j++; // Skip the node itself
+                rates.set(ids[j], (rates.get(ids[j]) || 0) + 1 / TRAFFIC_UNIFORM_SAMPLES);
+            }
+            return [...rates];
+        });
+    } else if (pattern === 'alltoall') {
+        return ids.map(() => (n < 2 ? [] : [[null, 1]]));
+    } else if (pattern === 'transpose') {
+        // Square 2D grids swap row and column; otherwise swap the two halves of the node's bits
+        const lattice = getRoutingLattice(graphData, getStructureType());
+        if (lattice && lattice.sizes.length === 2 && lattice.sizes[0] === lattice.sizes[1]) {
+            const indexOf = new Map(ids.map((id, i) => [id, i]));
+            return permutation(i => indexOf.get(lattice.idOf(lattice.coords.get(ids[i]).slice().reverse())));
+        }
+        requirePowerOfTwo();
+        if (bits % 2 !== 0) throw new Error('Transpose traffic needs a square grid or an even number of address bits.');
+        const half = bits / 2;
+        return permutation(i => ((i << half) | (i >> half)) & (n - 1));
+    } else if (pattern === 'bitreversal') {
+        requirePowerOfTwo();
+        return permutation(i => parseInt(i.toString(2).padStart(bits, '0').split('').reverse().join(''), 2) || 0);
+    } else if (pattern === 'bitcomplement') {
+        requirePowerOfTwo();
+        return permutation(i => (n - 1) ^ i);
+    } else if (pattern === 'neighbor') {
+        const fullAdjacency = buildAdjacencyList(graphData); // Neighbors in the intact topology
+        return ids.map(id => {
+            const neighbors = fullAdjacency.get(id);
+            return neighbors.map(neighbor => [neighbor, 1 / neighbors.length]);
+        });
+    } else if (pattern === 'hotspot') {
+        // A share of every node's traffic goes to the hotspot node, the rest is spread uniformly
+        const hotspotIndex = ids.indexOf(options.hotspot);
+        if (hotspotIndex < 0) throw new Error(`Hotspot node ${options.hotspot} does not exist.`);
+        const share = Math.max(0, Math.min(1, options.share ?? 0.2));
+        return ids.map((id, i) => {
+            if (n < 2) return [];
+            const flows = [[null, i === hotspotIndex ? 1 : 1 - share]];
+            if (i !== hotspotIndex) flows.push([options.hotspot, share]);
+            return flows;
+        });
+    }
+    throw new Error(`Unknown traffic pattern "${pattern}".`);
+}
+
+// Routing of a pattern with the given algorithm, one source node per step() so that it can run in
+// slices: { step(), done, progress, result() }. The result has per-link loads plus summary figures.
+// Throws if the pattern or the routing algorithm doesn't apply, or if the routing would take more
+// than TRAFFIC_MAX_WORK operations.
+function createTrafficAnalysis(pattern, algorithm, options = {}) {
+    const demands = buildTrafficMatrix(pattern, options);
+    const n = graphData.nodes.length;
+    const ids = graphData.nodes.map(node => node.id);
+    const lattice = algorithm === 'shortest' ? null : getRoutingLattice(graphData, getStructureType());
+    if (algorithm !== 'shortest' && !lattice) {
+        throw new Error(`${ROUTING_ALGORITHMS[algorithm]} routing does not apply to this topology.`);
+    }
+    // Randomized routing is averaged over a few samples per flow
+    const samples = algorithm === 'valiant' ? TRAFFIC_VALIANT_SAMPLES : 1;
+    const csr = lattice ? null : buildCSRAdjacency(graphData, adjacencyList);
+    // Shortest-path routing costs a BFS per source; lattice routing a route per flow (traffic spread
+    // over all other nodes routes n - 1 of them), each at most as long as the lattice is wide
+    let work;
+    if (csr) {
+        work = n * (n + csr.targets.length);
+    } else {
+        const routes = demands.reduce((sum, flows) => sum + flows.reduce((count, [target]) => count + (target === null ? n - 1 : 1), 0), 0);
+        work = routes * samples * lattice.sizes.reduce((sum, size) => sum + size, 0) * TRAFFIC_HOP_WORK;
+    }
+    if (work > TRAFFIC_MAX_WORK) {
+        throw new Error(`${TRAFFIC_PATTERNS[pattern]} traffic with ${ROUTING_ALGORITHMS[algorithm]} routing is too much work ` +
+            `to analyze on a graph of ${n} nodes.`);
+    }
+
+    const directedLoads = new Map(); // "u>v" -> flits/cycle
+    const linkLoads = new Map();     // Edge key -> flits/cycle in both directions (guides adaptive routing)
+    const addLoad = (u, v, amount) => {
+        directedLoads.set(`${u}>${v}`, (directedLoads.get(`${u}>${v}`) || 0) + amount);
+        const key = getEdgeKey(u, v);
+        linkLoads.set(key, (linkLoads.get(key) || 0) + amount);
+    };
+    let offered = 0;
+    let dropped = 0; // Traffic that can't be delivered because of failures
+    let routeSource;
+
+    // Shortest-path routing splits every demand evenly over all shortest paths (ECMP), pushing flow
+    // back from the destinations towards the source along the BFS DAG
+    const arcLoads = csr ? new Float64Array(csr.targets.length) : null; // Arc k (w -> v) carries traffic from v into w
+    if (csr) {
+        const { offsets, targets } = csr;
+        const indexOf = new Map(ids.map((id, i) => [id, i]));
+        const dist = new Int32Array(n);
+        const order = new Int32Array(n);
+        const sigma = new Float64Array(n);
+        const arriving = new Float64Array(n);
+        routeSource = s => {
+            if (demands[s].length === 0) return;
+            const reached = bfsCSR(offsets, targets, s, dist, order, sigma);
+            arriving.fill(0);
+            demands[s].forEach(([target, rate]) => {
+                offered += rate;
+                if (target === null) {
+                    const share = rate / (n - 1);
+                    for (let i = 1; i < reached; i++) arriving[order[i]] += share;
+                    dropped += share * (n - reached);
+                } else if (dist[indexOf.get(target)] > 0) {
+                    arriving[indexOf.get(target)] += rate;
+                } else {
+                    dropped += rate;
+                }
+            });
+            for (let i = reached - 1; i > 0; i--) {
+                const w = order[i];
+                if (arriving[w] === 0) continue;
+                for (let k = offsets[w]; k < offsets[w + 1]; k++) {
+                    const v = targets[k];
+                    if (dist[v] !== dist[w] - 1) continue;
+                    const share = arriving[w] * sigma[v] / sigma[w];
+                    arcLoads[k] += share;
+                    if (v !== s) arriving[v] += share;
+                }
+            }
+        };
+    } else {
+        const random = createSeededRandom(options.seed ?? 1);
+        routeSource = i => demands[i].forEach(([target, rate]) => {
+            const flowTargets = target === null ? ids.filter((_, j) => j !== i) : [target];
+            const flowRate = rate / flowTargets.length;
+            flowTargets.forEach(flowTarget => {
+                offered += flowRate;
+                for (let k = 0; k < samples; k++) {
+                    const path = computeRoute(algorithm, ids[i], flowTarget, { random, lattice, linkLoad: linkLoads }).path;
+                    const blocked = path.some((id, hop) => hop > 0 && !(adjacencyList.get(path[hop - 1]) || []).includes(id));
+                    if (blocked) {
+                        dropped += flowRate / samples;
+                        continue;
+                    }
+                    for (let hop = 1; hop < path.length; hop++) addLoad(path[hop - 1], path[hop], flowRate / samples);
+                }
+            });
+        });
+    }
+
+    let next = 0; // Index of the next source to route
+    return {
+        step() {
+            if (next < n) routeSource(next++);
+        },
+        get done() { return next >= n; },
+        get progress() { return n > 0 ? next / n : 1; },
+        result() {
+            // Each link is as busy as its busier direction
+            let maxLoad = 0;
+            let maxLink = null;
+            const busiestDirection = new Map();
+            const addDirectedLoad = (u, v, load) => {
+                const edgeKey = getEdgeKey(u, v);
+                busiestDirection.set(edgeKey, Math.max(busiestDirection.get(edgeKey) || 0, load));
+                if (load > maxLoad) {
+                    maxLoad = load;
+                    maxLink = [u, v];
+                }
+            };
+            if (arcLoads) {
+                for (let w = 0; w < n; w++) {
+                    for (let k = csr.offsets[w]; k < csr.offsets[w + 1]; k++) {
+                        if (arcLoads[k] > 0) addDirectedLoad(ids[csr.targets[k]], ids[w], arcLoads[k]);
+                    }
+                }
+            }
+            directedLoads.forEach((load, key) => {
+                const [u, v] = key.split('>').map(Number);
+                addDirectedLoad(u, v, load);
+            });
+            return {
+                pattern: pattern,
+                algorithm: algorithm,
+                linkLoads: busiestDirection, // Edge key -> load of its busier direction
+                maxLoad: maxLoad,
+                maxLink: maxLink,
+                // Injection is capped at 1 flit/node/cycle, so the throughput is too
+                saturationThroughput: maxLoad > 0 ? Math.min(1, 1 / maxLoad) : 1,
+                droppedFraction: offered > 0 ? dropped / offered : 0
+            };
+        }
+    };
+}
+
+// Hotspot node and traffic share from the Traffic Analysis section
+function readHotspotOptions() {
+    return {
+        hotspot: parseInt(document.getElementById('hotspotNode').value, 10),
+        share: parseFloat(document.getElementById('hotspotShare').value)
+    };
+}
+
+// Run the analysis selected in the Traffic Analysis section and show it. The sources are routed in
+// slices of ANALYSIS_SLICE_MS between frames; changing the graph restarts or cancels the analysis.
+function runTrafficAnalysis() {
+    clearError();
+    cancelTrafficAnalysis();
+    let analysis;
+    try {
+        analysis = createTrafficAnalysis(trafficPatternSelect.value, routingAlgorithmSelect.value, readHotspotOptions());
+    } catch (error) {
+        trafficResult = null;
+        showError(error.message);
+        updateTrafficDisplay();
+        refreshBaseMaterials();
+        return;
+    }
+    const runSlice = () => {
+        trafficAnalysisTimeout = null;
+        const sliceEnd = performance.now() + ANALYSIS_SLICE_MS;
+        while (!analysis.done && performance.now() < sliceEnd) analysis.step();
+        if (!analysis.done) {
+            trafficSummaryDiv.textContent = `Routing traffic… ${Math.floor(analysis.progress * 100)}%`;
+            trafficAnalysisTimeout = setTimeout(runSlice, 0);
+            return;
+        }
+        trafficResult = analysis.result();
+        updateTrafficDisplay();
+        refreshBaseMaterials();
+    };
+    runSlice();
+}
+
+function cancelTrafficAnalysis() {
+    if (trafficAnalysisTimeout === null) return;
+    clearTimeout(trafficAnalysisTimeout);
+    trafficAnalysisTimeout = null;
+    updateTrafficDisplay();
+}
+
+function updateTrafficDisplay() {
+    const result = trafficResult;
+    if (!result) {
+        maxLinkLoadSpan.textContent = 'N/A';
+        saturationThroughputSpan.textContent = 'N/A';
+        trafficSummaryDiv.textContent = '';
+        heatmapMaxSpan.textContent = '';
+        heatmapLegendDiv.style.display = 'none';
+        return;
+    }
+    maxLinkLoadSpan.textContent = result.maxLink
+        ? `${parseFloat(result.maxLoad.toFixed(3))} (${result.maxLink[0]} → ${result.maxLink[1]})` : '0';
+    saturationThroughputSpan.textContent = `${parseFloat(result.saturationThroughput.toFixed(3))}`;
+    let summary = `${TRAFFIC_PATTERNS[result.pattern]} traffic, ${ROUTING_ALGORITHMS[result.algorithm]} routing. ` +
+        'Loads in flits/cycle at 1 flit/node/cycle injected.';
+    if (result.droppedFraction > 0) {
+        summary += ` ${(result.droppedFraction * 100).toFixed(1)}% of the traffic is undeliverable (failures).`;
+    }
+    trafficSummaryDiv.textContent = summary;
+    heatmapMaxSpan.textContent = parseFloat(result.maxLoad.toFixed(3));
+    heatmapLegendDiv.style.display = '';
+}
+
+// Heatmap color for a load fraction t in [0, 1] (blue -> green -> yellow -> red)
+function getHeatmapMaterial(t) {
+    const bin = Math.round(Math.max(0, Math.min(1, t)) * (HEATMAP_MATERIALS.length - 1));
+    return HEATMAP_MATERIALS[bin];
+}
+
+// --- Packet Simulation ---
+// Cycle-based simulation of packets on the current graph. Every directed link u->v has a queue of
+// at most bufferDepth packets (the input buffer at v) and forwards up to `bandwidth` packets per
+// cycle. Packets are source-routed with the selected routing algorithm when injected and wait at
+// the head of their queue while the next buffer on the route is full. There are no virtual
+// channels, so wrap-around rings (torus) can deadlock at high load, as real networks without
+// them would.
+
+// config: pattern, algorithm, injectionRate (packets/node/cycle), bandwidth, bufferDepth,
+// warmup (cycles before statistics are collected), seed, plus hotspot options
+function createPacketSimulation(config) {
+    const n = graphData.nodes.length;
+    if (n > SIMULATION_MAX_NODES) {
+        throw new Error(`The packet simulation runs on graphs of up to ${SIMULATION_MAX_NODES} nodes (this one has ${n}).`);
+    }
+    const demands = buildTrafficMatrix(config.pattern, config);
+    const random = createSeededRandom(config.seed ?? 1);
+    const lattice = config.algorithm === 'shortest' ? null : getRoutingLattice(graphData, getStructureType());
+    if (config.algorithm !== 'shortest' && !lattice) {
+        throw new Error(`${ROUTING_ALGORITHMS[config.algorithm]} routing does not apply to this topology.`);
+    }
+    const bandwidth = Math.max(1, config.bandwidth);
+    const bufferDepth = Math.max(1, config.bufferDepth);
+    const warmup = config.warmup || 0;
+
+    const channels = new Map();     // "u>v" -> { from, to, queue }
+    const sourceQueues = new Map(); // Node id -> packets waiting to enter the network
+    const bfsCache = new Map();     // Source index -> { dist, sigma } of bfsCSR, for shortest-path routing
+    // Nodes that inject packets, with their rows of the traffic matrix
+    const sources = graphData.nodes
+        .map((node, i) => ({ id: node.id, index: i, flows: demands[i] }))
+        .filter(source => !failedNodes.has(source.id));
+    let cycle = 0;
+    let nextPacketId = 0;
+    const stats = { injected: 0, delivered: 0, dropped: 0, latencySum: 0, measuredInjected: 0, measuredDelivered: 0 };
+
+    const getChannel = (u, v) => {
+        const key = `${u}>${v}`;
+        if (!channels.has(key)) channels.set(key, { from: u, to: v, queue: [] });
+        return channels.get(key);
+    };
+    // Packets queued on a link in both directions (what minimal adaptive routing avoids)
+    const linkOccupancy = {
+        get: key => {
+            const [u, v] = key.split('-');
+            return (channels.get(`${u}>${v}`)?.queue.length || 0) + (channels.get(`${v}>${u}`)?.queue.length || 0);
+        }
+    };
+
+    // Shortest-path routing picks uniformly among all shortest paths (walking the BFS DAG back
+    // from the target, choosing predecessors in proportion to their path counts)
+    const { offsets, targets } = buildCSRAdjacency(graphData, adjacencyList);
+    const indexOf = new Map(graphData.nodes.map((node, i) => [node.id, i]));
+    const order = new Int32Array(n);
+    const sampleShortestPath = (source, target) => {
+        const s = indexOf.get(source);
+        if (!bfsCache.has(s)) {
+            const dist = new Int32Array(n);
+            const sigma = new Float64Array(n);
+            bfsCSR(offsets, targets, s, dist, order, sigma);
+            bfsCache.set(s, { dist, sigma });
+        }
+        const { dist, sigma } = bfsCache.get(s);
+        const t = indexOf.get(target);
+        if (dist[t] < 0) return null;
+        const path = [target];
+        for (let v = t; v !== s;) {
+            let pick = random() * sigma[v];
+            let chosen = -1;
+            for (let k = offsets[v]; k < offsets[v + 1]; k++) {
+                const u = targets[k];
+                if (dist[u] !== dist[v] - 1) continue;
+                chosen = u; // The last predecessor if rounding leaves pick >= 0
+                pick -= sigma[u];
+                if (pick < 0) break;
+            }
+            path.unshift(graphData.nodes[chosen].id);
+            v = chosen;
+        }
+        return path;
+    };
+
+    const routePacket = (source, target) => {
+        if (config.algorithm === 'shortest') return sampleShortestPath(source, target);
+        const path = computeRoute(config.algorithm, source, target, { random, lattice, linkLoad: linkOccupancy }).path;
+        // Routes fixed by the topology can run into failed elements
+        const blocked = path.some((id, hop) => hop > 0 && !(adjacencyList.get(path[hop - 1]) || []).includes(id));
+        return blocked ? null : path;
+    };
+
+    const deliver = packet => {
+        stats.delivered++;
+        if (packet.injectedAt >= warmup) {
+            stats.measuredDelivered++;
+            stats.latencySum += cycle - packet.injectedAt;
+        }
+    };
+
+    // Move packets out of a channel queue towards their next hop
+    const advanceChannel = channel => {
+        for (let sent = 0; sent < bandwidth && channel.queue.length > 0; sent++) {
+            const packet = channel.queue[0];
+            if (packet.movedAt === cycle) break; // Entered this queue during the current cycle
+            if (packet.hop === packet.path.length - 1) {
+                channel.queue.shift();
+                deliver(packet);
+                continue;
+            }
+            const next = getChannel(packet.path[packet.hop], packet.path[packet.hop + 1]);
+            if (next.queue.length >= bufferDepth) break; // Blocked: head-of-line packet waits
+            channel.queue.shift();
+            packet.hop++;
+            packet.movedAt = cycle;
+            next.queue.push(packet);
+        }
+    };
+
+    return {
+        channels: channels,
+        get cycle() { return cycle; },
+
+        step() {
+            cycle++;
+            // 1. Links forward packets
+            channels.forEach(advanceChannel);
+
+            // 2. Injection (Bernoulli process per node)
+            sources.forEach(({ id: sourceId, index, flows }) => {
+                if (flows.length === 0 || random() >= config.injectionRate) return;
+                let pick = random();
+                let target = flows[flows.length - 1][0];
+                for (const [id, rate] of flows) {
+                    pick -= rate;
+                    if (pick < 0) {
+                        target = id;
+                        break;
+                    }
+                }
+                if (target === null) { // Spread traffic: any other node
+                    const j = Math.floor(random() * (n - 1));
+                    target = graphData.nodes[j >= index ? j + 1 : j].id;
+                }
+                stats.injected++;
+                if (cycle >= warmup) stats.measuredInjected++;
+                const path = routePacket(sourceId, target);
+                if (!path) {
+                    stats.dropped++;
+                    return;
+                }
+                if (!sourceQueues.has(sourceId)) sourceQueues.set(sourceId, []);
+                sourceQueues.get(sourceId).push({ id: nextPacketId++, path: path, hop: 0, injectedAt: cycle, movedAt: -1 });
+            });
+
+            // 3. Source queues feed the first link of each route
+            sourceQueues.forEach(queue => {
+                for (let sent = 0; sent < bandwidth && queue.length > 0; sent++) {
+                    const packet = queue[0];
+                    const first = getChannel(packet.path[0], packet.path[1]);
+                    if (first.queue.length >= bufferDepth) break;
+                    queue.shift();
+                    packet.hop = 1;
+                    packet.movedAt = cycle;
+                    first.queue.push(packet);
+                }
+            });
+        },
+
+        getStats() {
+            let inFlight = 0;
+            channels.forEach(channel => { inFlight += channel.queue.length; });
+            let waiting = 0;
+            sourceQueues.forEach(queue => { waiting += queue.length; });
+            const measuredCycles = Math.max(1, cycle - warmup);
+            return {
+                cycle: cycle,
+                injected: stats.injected,
+                delivered: stats.delivered,
+                dropped: stats.dropped,
+                inFlight: inFlight,
+                waiting: waiting,
+                avgLatency: stats.measuredDelivered > 0 ? stats.latencySum / stats.measuredDelivered : 0,
+                // Offered and accepted throughput in packets/node/cycle over the measurement window
+                // (offered can fall short of the injection rate: e.g. transpose leaves the diagonal idle)
+                offered: stats.measuredInjected / (Math.max(1, sources.length) * measuredCycles),
+                throughput: stats.measuredDelivered / (Math.max(1, sources.length) * measuredCycles)
+            };
+        }
+    };
+}
+
+// Simulation settings from the Packet Simulation section (pattern and routing come from the
+// Traffic Analysis and Interaction sections)
+function readSimulationConfig() {
+    const readNumber = (id, fallback) => {
+        const value = parseFloat(document.getElementById(id).value);
+        return isNaN(value) ? fallback : value;
+    };
+    return Object.assign({
+        pattern: trafficPatternSelect.value,
+        algorithm: routingAlgorithmSelect.value,
+        injectionRate: Math.max(0, Math.min(1, readNumber('injectionRate', 0.2))),
+        bandwidth: Math.round(readNumber('linkBandwidth', 1)),
+        bufferDepth: Math.round(readNumber('bufferDepth', 4))
+    }, readHotspotOptions());
+}
+
+function startSimulation() {
+    clearError();
+    try {
+        packetSimulation = createPacketSimulation(readSimulationConfig());
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    lastSimulationStepTime = performance.now();
+    simulationToggleButton.textContent = 'Stop';
+    updateSimulationStats();
+}
+
+function stopSimulation() {
+    packetSimulation = null;
+    simulationToggleButton.textContent = 'Start';
+    packetMeshes.forEach(mesh => {
+        scene.remove(mesh);
+        packetMeshPool.push(mesh);
+    });
+    packetMeshes.clear();
+}
+
+function updateSimulationStats() {
+    if (!packetSimulation) return;
+    const stats = packetSimulation.getStats();
+    simulationStatsDiv.textContent = `Cycle ${stats.cycle}: ${stats.inFlight} in flight, ${stats.waiting} waiting, ` +
+        `${stats.delivered} delivered${stats.dropped > 0 ? `, ${stats.dropped} dropped (failures)` : ''}. ` +
+        `Avg latency ${stats.avgLatency.toFixed(1)} cycles, accepted ${stats.throughput.toFixed(3)} packets/node/cycle.`;
+}
+
+// Advance the running simulation at the chosen speed and move the packet spheres (called every frame)
+function updateSimulationAnimation(now) {
+    if (!packetSimulation) return;
+    const speed = Math.max(0.1, parseFloat(document.getElementById('simulationSpeed').value) || 4);
+    if (now - lastSimulationStepTime >= 1000 / speed) {
+        packetSimulation.step();
+        lastSimulationStepTime = now;
+        updateSimulationStats();
+    }
+
+    // Queued packets line up behind the head of their link, which sits next to the receiving node
+    const seen = new Set();
+    const bufferDepth = Math.max(1, Math.round(parseFloat(document.getElementById('bufferDepth').value) || 4));
+    packetSimulation.channels.forEach(channel => {
+        channel.queue.forEach((packet, position) => {
+            if (seen.size >= SIMULATION_MAX_DRAWN_PACKETS) return;
+            seen.add(packet.id);
+            let mesh = packetMeshes.get(packet.id);
+            const target = pointAlongEdge(channel.from, channel.to, 0.85 - 0.7 * position / bufferDepth);
+            if (!target) return;
+            if (!mesh) {
+                mesh = packetMeshPool.pop() || new THREE.Mesh(PACKET_GEOMETRY, PACKET_MATERIAL);
+                const start = nodeMeshMap.get(channel.from);
+                mesh.position.copy(start ? start.position : target);
+                packetMeshes.set(packet.id, mesh);
+                scene.add(mesh);
+            }
+            mesh.position.lerp(target, 0.2); // Glide towards the queue slot
+        });
+    });
+    packetMeshes.forEach((mesh, id) => {
+        if (!seen.has(id)) {
+            scene.remove(mesh); // Delivered (or no longer drawn)
+            packetMeshPool.push(mesh);
+            packetMeshes.delete(id);
+        }
+    });
+}
+
+// Point at fraction t of the drawn link from node `from` to node `to`, following curved links
+function pointAlongEdge(from, to, t) {
+    const line = edgeMeshMap.get(getEdgeKey(from, to));
+    if (!line) return null;
+    const points = line.points;
+    const position = (line.userData.source === from ? t : 1 - t) * (points.length - 1);
+    const index = Math.min(Math.floor(position), points.length - 2);
+    return points[index].clone().lerp(points[index + 1], position - index);
+}
+
+// Run the simulation (without animation) over a range of injection rates and plot the average
+// latency and the accepted throughput against the offered load. Stops after the first saturated
+// rate, where latency grows without bound. The cycles run in slices of ANALYSIS_SLICE_MS
+// between frames, so the page stays responsive; changing the graph cancels the plot.
+function plotLatencyVsLoad() {
+    clearError();
+    cancelLatencyPlot();
+    const config = readSimulationConfig();
+    const points = [];
+    let step = 0;
+    let simulation = null;
+    const runSlice = () => {
+        latencyPlotTimeout = null;
+        const sliceEnd = performance.now() + ANALYSIS_SLICE_MS;
+        try {
+            while (performance.now() < sliceEnd) {
+                if (!simulation) {
+                    step++;
+                    simulation = createPacketSimulation(Object.assign({}, config, { injectionRate: step * 0.05, warmup: SIMULATION_WARMUP_CYCLES }));
+                }
+                simulation.step();
+                if (simulation.cycle < SIMULATION_WARMUP_CYCLES + SIMULATION_MEASURE_CYCLES) continue;
+                const stats = simulation.getStats();
+                const saturated = stats.throughput < stats.offered * 0.9;
+                points.push({ offered: parseFloat((step * 0.05).toFixed(2)), accepted: stats.throughput, latency: stats.avgLatency, saturated: saturated });
+                simulation = null;
+                if (saturated || step === 20) {
+                    showLatencyPlot(points);
+                    return;
+                }
+            }
+        } catch (error) {
+            latencySummaryDiv.textContent = '';
+            showError(error.message);
+            return;
+        }
+        latencySummaryDiv.textContent = `Simulating ${(step * 0.05).toFixed(2)} packets/node/cycle…`;
+        latencyPlotTimeout = setTimeout(runSlice, 0);
+    };
+    runSlice();
+}
+
+function cancelLatencyPlot() {
+    if (latencyPlotTimeout === null) return;
+    clearTimeout(latencyPlotTimeout);
+    latencyPlotTimeout = null;
+    latencySummaryDiv.textContent = '';
+}
+
+function showLatencyPlot(points) {
+    const last = points[points.length - 1];
+    latencySummaryDiv.textContent = `Zero-load latency ${points[0].latency.toFixed(1)} cycles; ` +
+        `${last.saturated ? `saturates near ${last.offered}` : 'no saturation up to 1'} packets/node/cycle.`;
+    drawLineChart(document.getElementById('latencyChart'), points.map(point => point.offered), [
+        { values: points.map(point => point.latency), color: '#ff6b6b' },
+        { values: points.map(point => point.accepted), color: '#00aaff', max: 1 }
+    ], { leftLabel: 'max {max} cycles', rightLabel: '1 pkt/node/cyc' });
+}
+
+// --- Force-Directed Layout ---
+// Fruchterman–Reingold: linked nodes attract, every pair of nodes repels, and a cooling temperature
+// caps how far a node moves per iteration. Repulsion is approximated with a Barnes–Hut octree (in 2D
+// every z is 0 and it acts as a quadtree), so an iteration is O(n log n) rather than O(n^2).
+
+// `startPositions` maps node ids to Vector3 seeds (the positions currently drawn)
+function createForceLayout(graph, startPositions, use3D) {
+    const n = graph.nodes.length;
+    const k = FORCE_LAYOUT_EDGE_LENGTH;
+    const indexOf = new Map(graph.nodes.map((node, i) => [node.id, i]));
+    const x = new Float64Array(n);
+    const y = new Float64Array(n);
+    const z = new Float64Array(n);
+    const random = createSeededRandom(1); // Same jitter on every run
+    // No force leaves a plane, so a flat seed gets some depth to unfold into in 3D
+    const flat = graph.nodes.every(node => !startPositions.get(node.id)?.z);
+    let extent = 0;
+    graph.nodes.forEach((node, i) => {
+        const position = startPositions.get(node.id) || new THREE.Vector3();
+        // A little jitter everywhere, so no two nodes coincide
+        x[i] = position.x + (random() - 0.5) * k * 0.01;
+        y[i] = position.y + (random() - 0.5) * k * 0.01;
+        z[i] = use3D ? position.z + (random() - 0.5) * k * (flat ? 1 : 0.01) : 0;
+        extent = Math.max(extent, Math.abs(x[i]), Math.abs(y[i]), Math.abs(z[i]));
+    });
+    const edgeEnds = new Int32Array(graph.edges.length * 2);
+    graph.edges.forEach((edge, i) => {
+        edgeEnds[2 * i] = indexOf.get(edge.source);
+        edgeEnds[2 * i + 1] = indexOf.get(edge.target);
+    });
+
+    const dx = new Float64Array(n);
+    const dy = new Float64Array(n);
+    const dz = new Float64Array(n);
+    let temperature = Math.max(k, extent * 0.1); // Large seeds (e.g. big rings) need room to contract
+    const minTemperature = k * 0.01;
+    let iterations = 0;
+    let converged = n === 0;
+
+    // Octree cell: center and half size, mass (node count) and summed position, and either one
+    // body (node index) or up to eight children
+    const createCell = (cx, cy, cz, half) => ({ cx: cx, cy: cy, cz: cz, half: half, mass: 0, sx: 0, sy: 0, sz: 0, body: -1, children: null });
+
+    function insertIntoChild(cell, i, depth) {
+        const octant = (x[i] >= cell.cx ? 1 : 0) | (y[i] >= cell.cy ? 2 : 0) | (z[i] >= cell.cz ? 4 : 0);
+        if (!cell.children[octant]) {
+            const h = cell.half / 2;
+            cell.children[octant] = createCell(cell.cx + (octant & 1 ? h : -h), cell.cy + (octant & 2 ? h : -h), cell.cz + (octant & 4 ? h : -h), h);
+        }
+        insert(cell.children[octant], i, depth + 1);
+    }
+
+    function insert(cell, i, depth) {
+        if (cell.children === null && cell.mass > 0 && depth < FORCE_LAYOUT_MAX_DEPTH) {
+            // Occupied leaf: split it and move its body one level down
+            cell.children = new Array(8).fill(null);
+            insertIntoChild(cell, cell.body, depth);
+            cell.body = -1;
+        }
+        cell.mass++;
+        cell.sx += x[i];
+        cell.sy += y[i];
+        cell.sz += z[i];
+        if (cell.children === null) {
+            if (cell.body === -1) cell.body = i; // At the depth limit further bodies only add mass
+        } else {
+            insertIntoChild(cell, i, depth);
+        }
+    }
+
+    function buildTree() {
+        let half = 0;
+        for (let i = 0; i < n; i++) half = Math.max(half, Math.abs(x[i]), Math.abs(y[i]), Math.abs(z[i]));
+        const root = createCell(0, 0, 0, half + 1);
+        for (let i = 0; i < n; i++) insert(root, i, 0);
+        return root;
+    }
+
+    // Add the repulsion on node i from all other nodes (distant cells act as one mass) to dx/dy/dz
+    function repel(root, i) {
+        const thetaSq = FORCE_LAYOUT_THETA * FORCE_LAYOUT_THETA;
+        const stack = [root];
+        while (stack.length > 0) {
+            const cell = stack.pop();
+            if (cell.body === i && cell.mass === 1) continue; // The node itself
+            const ex = x[i] - cell.sx / cell.mass;
+            const ey = y[i] - cell.sy / cell.mass;
+            const ez = z[i] - cell.sz / cell.mass;
+            const distanceSq = ex * ex + ey * ey + ez * ez;
+            const size = cell.half * 2;
+            if (cell.children === null || size * size < thetaSq * distanceSq) {
+                if (distanceSq < 1e-12) continue;
+                const force = k * k * cell.mass / distanceSq; // k^2 / d per node, along the unit vector (e / d)
+                dx[i] += ex * force;
+                dy[i] += ey * force;
+                dz[i] += ez * force;
+            } else {
+                cell.children.forEach(child => { if (child) stack.push(child); });
+            }
+        }
+    }
+
+    return {
+        // One iteration; returns true once the layout has converged
+        step() {
+            if (converged) return true;
+            dx.fill(0);
+            dy.fill(0);
+            dz.fill(0);
+            const root = buildTree();
+            for (let i = 0; i < n; i++) repel(root, i);
+            for (let e = 0; e < edgeEnds.length; e += 2) {
+                const u = edgeEnds[e];
+                const v = edgeEnds[e + 1];
+                const ex = x[u] - x[v];
+                const ey = y[u] - y[v];
+                const ez = z[u] - z[v];
+                const scale = Math.sqrt(ex * ex + ey * ey + ez * ez) / k; // d^2 / k along the unit vector
+                dx[u] -= ex * scale;
+                dy[u] -= ey * scale;
+                dz[u] -= ez * scale;
+                dx[v] += ex * scale;
+                dy[v] += ey * scale;
+                dz[v] += ez * scale;
+            }
+            let maxMove = 0;
+            for (let i = 0; i < n; i++) {
+                // Weak pull towards the origin keeps disconnected parts from drifting apart forever
+                dx[i] -= x[i] * FORCE_LAYOUT_GRAVITY;
+                dy[i] -= y[i] * FORCE_LAYOUT_GRAVITY;
+                dz[i] -= z[i] * FORCE_LAYOUT_GRAVITY;
+                const length = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i] + dz[i] * dz[i]);
+                if (length === 0) continue;
+                const move = Math.min(length, temperature);
+                x[i] += dx[i] / length * move;
+                y[i] += dy[i] / length * move;
+                z[i] += dz[i] / length * move;
+                maxMove = Math.max(maxMove, move);
+            }
+            temperature *= FORCE_LAYOUT_COOLING;
+            iterations++;
+            converged = temperature < minTemperature || maxMove < minTemperature || iterations >= FORCE_LAYOUT_MAX_ITERATIONS;
+            return converged;
+        },
+
+        // Write the current positions into the `position` of each drawn node (entries of nodeMeshMap)
+        copyPositions(meshMap) {
+            graph.nodes.forEach((node, i) => meshMap.get(node.id)?.position.set(x[i], y[i], z[i]));
+        },
+
+        get iterations() {
+            return iterations;
+        }
+    };
+}
+
+function startForceLayout() {
+    clearError();
+    if (nodeMeshMap.size === 0) {
+        showError('Nothing to lay out: no graph is drawn.');
+        return;
+    }
+    clearHighlights(); // Lightning bolts would stay where the nodes were
+    stopHypercubeRotation(); // Both would move the same nodes
+    manualPositions.clear(); // The layout moves every node, including those placed by hand
+    const startPositions = new Map();
+    nodeMeshMap.forEach((mesh, nodeId) => startPositions.set(nodeId, mesh.position));
+    forceLayout = createForceLayout(graphData, startPositions, layout3DCheckbox.checked);
+    forceLayoutToggleButton.textContent = 'Stop';
+    layoutStatusDiv.textContent = 'Force-directed layout running…';
+}
+
+function stopForceLayout() {
+    if (forceLayout) layoutStatusDiv.textContent = `Force-directed layout stopped after ${forceLayout.iterations} iterations.`;
+    forceLayout = null;
+    forceLayoutToggleButton.textContent = 'Force-directed';
+}
+
+// Run layout iterations for a slice of the frame and move the drawn nodes (called every frame)
+function updateForceLayout() {
+    if (!forceLayout) return;
+    const start = performance.now();
+    let converged = false;
+    do {
+        converged = forceLayout.step();
+    } while (!converged && performance.now() - start < FORCE_LAYOUT_FRAME_BUDGET_MS);
+    forceLayout.copyPositions(nodeMeshMap);
+    updateDrawnPositions();
+    if (converged) {
+        const iterations = forceLayout.iterations;
+        stopForceLayout();
+        layoutStatusDiv.textContent = `Force-directed layout converged after ${iterations} iterations.`;
+    }
+}
+
+// --- Hypercube Projections ---
+// Node u of a d-cube is the point with coordinate +1 or -1 per bit of u (bit j -> coordinate j, so
+// bit 0 is the last character of the binary label). A projection maps such a point, possibly
+// rotated in d dimensions, to the scene: (coordinates, target Vector3) -> target.
+const HYPERCUBE_PROJECTIONS = {
+    nested: projectNestedCubes,
+    petrie: projectPetriePolygon
+};
+
+function getHypercubeDimension(graph) {
+    return graph.nodes.length > 0 ? graph.nodes[0].binary.length : 0;
+}
+
+function getHypercubeCoordinates(id, d) {
+    return Float64Array.from({ length: d }, (_, bit) => ((id >> bit) & 1) ? 1 : -1);
+}
+
+// Recursive tesseract drawing: bits 2, 1, 0 are x, y, z (the first axes below 3 dimensions), and the
+// higher bits, read as a binary number, pick one of 2^(d-3) concentric cubes; every extra
+// dimension nests two copies of the lower-dimensional drawing. Beyond 4 dimensions each cube is
+// twisted a little further around z, so links between cubes don't run along each other.
+function projectNestedCubes(coordinates, target) {
+    const d = coordinates.length;
+    const axes = Math.min(d, 3);
+    let level = 0;
+    for (let bit = 3; bit < d; bit++) level += (coordinates[bit] + 1) / 2 * 2 ** (bit - 3);
+    const size = HYPERCUBE_CUBE_SIZE * (1 + HYPERCUBE_NESTING_STEP * level);
+    target.set(0, 0, 0);
+    for (let axis = 0; axis < axes; axis++) target.setComponent(axis, coordinates[axes - 1 - axis] * size);
+    if (d > 4) target.applyAxisAngle(new THREE.Vector3(0, 0, 1), level / 2 ** (d - 3) * HYPERCUBE_NESTING_TWIST);
+    return target;
+}
+
+// Orthogonal projection onto the Coxeter plane: bit j points at angle j*pi/d, so the 2d outermost
+// nodes form a regular polygon (the Petrie polygon) and the others fill it. Links are 2 * scale
+// long; the scale grows with 2^d / d^2 so the interior doesn't get too crowded.
+function projectPetriePolygon(coordinates, target) {
+    const d = coordinates.length;
+    const scale = HYPERCUBE_CUBE_SIZE * Math.max(1, 2 ** (d / 2) / d);
+    target.set(0, 0, 0);
+    coordinates.forEach((value, bit) => {
+        target.x += value * Math.cos(bit * Math.PI / d) * scale;
+        target.y += value * Math.sin(bit * Math.PI / d) * scale;
+    });
+    return target;
+}
+
+// "0-3, 1-4" -> [[0, 3], [1, 4]]: planes spanned by two different bits of a d-cube
+function parseRotationPlanes(text, d) {
+    const planes = text.split(',').map(part => part.trim()).filter(part => part !== '').map(part => {
+        const match = part.match(/^(\d+)\s*-\s*(\d+)$/);
+        const plane = match ? [Number(match[1]), Number(match[2])] : null;
+        if (!plane || plane[0] === plane[1] || plane[0] >= d || plane[1] >= d) {
+            throw new Error(`Invalid rotation plane "${part}": give two different bits below ${d}, e.g. 0-${Math.max(1, d - 1)}.`);
+        }
+        return plane;
+    });
+    if (planes.length === 0) throw new Error('No rotation plane given (e.g. 0-3).');
+    return planes;
+}
+
+// The hypercube turning in d dimensions: every step rotates all node coordinates by the same angle
+// in each plane (one plane after the other), and the nodes are drawn at the projection of the
+// rotated coordinates, so the first step starts from the unrotated projection
+function createHypercubeRotation(graph, project, planes) {
+    const d = getHypercubeDimension(graph);
+    const coordinates = graph.nodes.map(node => getHypercubeCoordinates(node.id, d));
+    let angle = 0;
+
+    return {
+        rotate(radians) {
+            const cos = Math.cos(radians);
+            const sin = Math.sin(radians);
+            coordinates.forEach(point => planes.forEach(([a, b]) => {
+                const pa = point[a];
+                point[a] = pa * cos - point[b] * sin;
+                point[b] = pa * sin + point[b] * cos;
+            }));
+            angle += radians;
+        },
+
+        setPlanes(newPlanes) {
+            planes = newPlanes;
+        },
+
+        // Write the projected positions into the `position` of each drawn node (entries of nodeMeshMap)
+        copyPositions(meshMap) {
+            graph.nodes.forEach((node, i) => {
+                const mesh = meshMap.get(node.id);
+                if (mesh) project(coordinates[i], mesh.position);
+            });
+        },
+
+        get planes() {
+            return planes;
+        },
+
+        get angle() {
+            return angle;
+        }
+    };
+}
+
+// Show the hypercube options for hypercubes, with one "Color bit" option per dimension (the
+// chosen bit is kept if the new graph still has it)
+function updateHypercubeOptions() {
+    const d = currentTopology.type === 'hypercube' ? getHypercubeDimension(graphData) : 0;
+    const previous = hypercubeColorBitSelect.value;
+    hypercubeColorBitSelect.innerHTML = '';
+    [{ value: 'none', label: 'None' }, ...Array.from({ length: d }, (_, bit) => ({ value: String(bit), label: `Bit ${bit}` }))]
+        .forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            hypercubeColorBitSelect.appendChild(option);
+        });
+    hypercubeColorBitSelect.value = Number(previous) < d ? previous : 'none';
+    hypercubeOptionsDiv.style.display = currentTopology.type === 'hypercube' ? '' : 'none';
+}
+
+function formatRotationPlanes(planes) {
+    return planes.map(plane => plane.join('-')).join(', ');
+}
+
+function startHypercubeRotation() {
+    clearError();
+    if (getStructureType() !== 'hypercube' || nodeMeshMap.size === 0 || layoutSelect.value !== 'default') {
+        showError('Rotation needs a drawn, unedited hypercube with the "Topology default" layout.');
+        return;
+    }
+    let planes;
+    try {
+        planes = parseRotationPlanes(rotationPlanesInput.value, getHypercubeDimension(graphData));
+    } catch (error) {
+        showError(error.message);
+        return;
+    }
+    clearHighlights(); // Lightning bolts would stay where the nodes were
+    stopForceLayout();
+    manualPositions.clear();
+    // Resume a paused rotation; a new one starts from the drawn projection
+    if (hypercubeRotation) {
+        hypercubeRotation.setPlanes(planes);
+    } else {
+        hypercubeRotation = createHypercubeRotation(graphData, HYPERCUBE_PROJECTIONS[hypercubeProjectionSelect.value], planes);
+    }
+    isHypercubeRotating = true;
+    lastRotationFrameTime = performance.now();
+    hypercubeRotationToggleButton.textContent = 'Stop';
+    layoutStatusDiv.textContent = `Rotating in planes ${formatRotationPlanes(planes)}.`;
+}
+
+function stopHypercubeRotation() {
+    if (!isHypercubeRotating) return;
+    isHypercubeRotating = false;
+    hypercubeRotationToggleButton.textContent = 'Rotate';
+    const degrees = Math.round(hypercubeRotation.angle * 180 / Math.PI) % 360;
+    layoutStatusDiv.textContent = `Rotation paused at ${degrees}° in planes ${formatRotationPlanes(hypercubeRotation.planes)}.`;
+}
+
+// New planes typed while rotating apply from the next frame
+function updateRotationPlanes() {
+    if (!isHypercubeRotating) return;
+    clearError();
+    try {
+        hypercubeRotation.setPlanes(parseRotationPlanes(rotationPlanesInput.value, getHypercubeDimension(graphData)));
+        layoutStatusDiv.textContent = `Rotating in planes ${formatRotationPlanes(hypercubeRotation.planes)}.`;
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Turn the hypercube by the speed in degrees per second and move the drawn nodes (called every frame)
+function updateHypercubeRotation(now) {
+    if (!isHypercubeRotating) return;
+    const speed = Math.max(0, parseFloat(rotationSpeedInput.value) || 0);
+    const elapsed = Math.min(now - lastRotationFrameTime, 100) / 1000; // A hidden tab doesn't jump ahead
+    lastRotationFrameTime = now;
+    hypercubeRotation.rotate(speed * Math.PI / 180 * elapsed);
+    hypercubeRotation.copyPositions(nodeMeshMap);
+    updateDrawnPositions();
+}
+
+// --- Node Dragging ---
+// Pressing on a node and moving the pointer drags the node in the plane through it that faces the
+// camera; the orbit controls are paused meanwhile. Dragged positions are kept in manualPositions,
+// so they survive redraws of the same graph (they are dropped with a new graph or layout).
+
+// raycaster is already set up for the pointer by onPointerDown
+function startNodeDrag(nodeId, event) {
+    const position = nodeMeshMap.get(nodeId).position;
+    const normal = camera.getWorldDirection(new THREE.Vector3());
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, position);
+    const hit = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!hit) return;
+    nodeDrag = { nodeId: nodeId, plane: plane, offset: position.clone().sub(hit) };
+    controls.enabled = false;
+    renderer.domElement.setPointerCapture?.(event.pointerId); // Keep following the pointer outside the canvas
+}
+
+// Move the dragged node to where the pointer ray (raycaster) meets its plane
+function moveDraggedNode() {
+    const hit = raycaster.ray.intersectPlane(nodeDrag.plane, new THREE.Vector3());
+    if (!hit) return;
+    const position = hit.add(nodeDrag.offset);
+    if (snapToGridCheckbox.checked) snapToGrid(position);
+    const mesh = nodeMeshMap.get(nodeDrag.nodeId);
+    if (position.equals(mesh.position)) return;
+    if (!nodeDragMoved) {
+        // Paths, bolts and automatic layouts would all be left behind by the node
+        clearHighlights();
+        stopForceLayout();
+        stopHypercubeRotation();
+        nodeDragMoved = true;
+    }
+    mesh.position.copy(position);
+    updateDrawnPositions([nodeDrag.nodeId]);
+}
+
+function endNodeDrag() {
+    if (nodeDragMoved) {
+        manualPositions.set(nodeDrag.nodeId, nodeMeshMap.get(nodeDrag.nodeId).position.clone());
+        layoutStatusDiv.textContent = `${manualPositions.size} node${manualPositions.size === 1 ? '' : 's'} placed by hand.`;
+    }
+    nodeDrag = null;
+    controls.enabled = true;
+}
+
+// Round a position (in place) to the grid of DRAG_GRID_SPACING
+function snapToGrid(position) {
+    return position.divideScalar(DRAG_GRID_SPACING).round().multiplyScalar(DRAG_GRID_SPACING);
+}
+
+// --- Graph Editor ---
+// In the "Edit graph" click mode, clicking the background adds a node, shift-clicking two nodes adds
+// or removes the link between them and Delete removes the selected node. Each change is an edit
+// object applied to graphData and adjacencyList in place by applyGraphEdit; undoing applies its
+// inverse. The drawing is pinned (manualPositions) before each edit, so nothing else moves.
+
+// Topology type that describes graphData's structure. An edited graph may lack the coordinates and
+// regularity that lattice routing and the per-type layouts rely on, so it counts as a custom graph.
+function getStructureType() {
+    return currentTopology.edited ? 'custom' : currentTopology.type;
+}
+
+// Apply an edit to graphData, adjacencyList (which leaves out failed elements) and the failure sets.
+// Edits are { action: 'addNode' | 'removeNode', node, index, position, failed, edges } or
+// { action: 'addEdge' | 'removeEdge', link }, where link and each of a node's edges are
+// { edge, index, failed }; indices are positions in graphData.nodes / graphData.edges.
+function applyGraphEdit(edit) {
+    if (edit.action === 'addNode') {
+        graphData.nodes.splice(edit.index, 0, edit.node);
+        if (edit.failed) {
+            failedNodes.add(edit.node.id);
+        } else {
+            adjacencyList.set(edit.node.id, []);
+        }
+        manualPositions.set(edit.node.id, edit.position.clone());
+        edit.edges.forEach(insertGraphEdge); // In ascending index order
+    } else if (edit.action === 'removeNode') {
+        edit.edges.slice().reverse().forEach(removeGraphEdge); // Later links first, so the indices hold
+        graphData.nodes.splice(edit.index, 1);
+        adjacencyList.delete(edit.node.id);
+        failedNodes.delete(edit.node.id);
+        manualPositions.delete(edit.node.id);
+    } else if (edit.action === 'addEdge') {
+        insertGraphEdge(edit.link);
+    } else {
+        removeGraphEdge(edit.link);
+    }
+}
+
+function insertGraphEdge({ edge, index, failed }) {
+    graphData.edges.splice(index, 0, edge);
+    if (failed) failedEdges.add(getEdgeKey(edge.source, edge.target));
+    if (!isEdgeFailed(edge.source, edge.target)) {
+        adjacencyList.get(edge.source).push(edge.target);
+        adjacencyList.get(edge.target).push(edge.source);
+    }
+}
+
+function removeGraphEdge({ edge, index }) {
+    graphData.edges.splice(index, 1);
+    failedEdges.delete(getEdgeKey(edge.source, edge.target));
+    [[edge.source, edge.target], [edge.target, edge.source]].forEach(([u, v]) => {
+        const neighbors = adjacencyList.get(u);
+        const i = neighbors ? neighbors.indexOf(v) : -1;
+        if (i >= 0) neighbors.splice(i, 1);
+    });
+}
+
+function describeGraphEdit(edit) {
+    if (edit.action === 'addNode') return `added node ${edit.node.id}`;
+    if (edit.action === 'removeNode') return `removed node ${edit.node.id} (${edit.edges.length} links)`;
+    const { source, target } = edit.link.edge;
+    return `${edit.action === 'addEdge' ? 'added' : 'removed'} link ${source}–${target}`;
+}
+
+// Make a new edit; it can be undone, and whatever was undone before can no longer be redone
+function performGraphEdit(edit) {
+    editUndoStack.push(edit);
+    editRedoStack = [];
+    const description = describeGraphEdit(edit);
+    commitGraphEdit(edit, description.charAt(0).toUpperCase() + description.slice(1) + '.');
+}
+
+function undoGraphEdit() {
+    const edit = editUndoStack.pop();
+    if (!edit) return;
+    editRedoStack.push(edit);
+    commitGraphEdit({ ...edit, action: INVERSE_GRAPH_EDITS[edit.action] }, `Undone: ${describeGraphEdit(edit)}.`);
+}
+
+function redoGraphEdit() {
+    const edit = editRedoStack.pop();
+    if (!edit) return;
+    editUndoStack.push(edit);
+    commitGraphEdit(edit, `Redone: ${describeGraphEdit(edit)}.`);
+}
+
+// Apply an edit and bring the drawing, the metrics and the running analyses up to date with it
+function commitGraphEdit(edit, message) {
+    clearError();
+    nodeMeshMap.forEach((mesh, nodeId) => manualPositions.set(nodeId, mesh.position.clone()));
+    applyGraphEdit(edit);
+    cancelLatencyPlot();
+    currentTopology.edited = editUndoStack.length > 0; // Undoing every edit gives back the generated graph
+    updateRoutingOptions(getStructureType());
+    if (graphData.nodes.length > 0) {
+        visualizeGraph(graphData, getStructureType(), currentTopology.use3DLayout, currentTopology.params);
+    } else {
+        clearVisualization();
+    }
+    if (packetSimulation) {
+        startSimulation(); // Restart on the edited graph
+    }
+    updateCurrentMetrics(getSurvivingGraph());
+    if (resilienceHistory.length > 0) {
+        resilienceHistory[resilienceHistory.length - 1] = measureResilience(); // The latest point is the edited graph
+    }
+    if (trafficResult || trafficAnalysisTimeout !== null) {
+        runTrafficAnalysis(); // Route the same pattern over the edited graph
+    }
+    refreshBaseMaterials();
+    updateFailurePanel();
+    updateEditorButtons();
+    pathQueryInfoDiv.textContent = message;
+}
+
+function clearEditHistory() {
+    editUndoStack = [];
+    editRedoStack = [];
+    updateEditorButtons();
+}
+
+function updateEditorButtons() {
+    undoEditButton.disabled = editUndoStack.length === 0;
+    redoEditButton.disabled = editRedoStack.length === 0;
+}
+
+// Handle a click in the edit mode (raycaster already set up by onNodeClick)
+function editClickedElement(shiftKey) {
+    if (graphData.nodes.length > RENDER_MAX_NODES) {
+        showError(`Graphs of more than ${RENDER_MAX_NODES} nodes are not drawn, so they can't be edited.`);
+        return;
+    }
+    const nodeId = pickNode();
+    if (nodeId === null) {
+        addNodeAtPointer();
+    } else if (shiftKey && editSelectedNodeId !== null && editSelectedNodeId !== nodeId) {
+        toggleEdge(editSelectedNodeId, nodeId);
+    } else {
+        clearHighlights();
+        const mesh = nodeMeshMap.get(nodeId);
+        setNodeMaterial(mesh, HIGHLIGHT_NODE_MATERIAL);
+        highlightedElements.nodes.add(mesh);
+        editSelectedNodeId = nodeId;
+        pathQueryInfoDiv.textContent = `Selected node ${nodeId}. Shift-click another node to add or remove a link, or press Delete.`;
+    }
+}
+
+// New node where the pointer ray meets the plane through the orbit target that faces the camera
+function addNodeAtPointer() {
+    const normal = camera.getWorldDirection(new THREE.Vector3());
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, controls.target);
+    const position = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!position) return;
+    if (snapToGridCheckbox.checked) snapToGrid(position);
+    const id = graphData.nodes.reduce((max, node) => Math.max(max, node.id), -1) + 1;
+    performGraphEdit({
+        action: 'addNode',
+        node: { id: id, added: true },
+        index: graphData.nodes.length,
+        position: position,
+        failed: false,
+        edges: []
+    });
+}
+
+// Remove the link between u and v if there is one, else add it
+function toggleEdge(u, v) {
+    const key = getEdgeKey(u, v);
+    const index = graphData.edges.findIndex(edge => getEdgeKey(edge.source, edge.target) === key);
+    if (index >= 0) {
+        performGraphEdit({ action: 'removeEdge', link: { edge: graphData.edges[index], index: index, failed: failedEdges.has(key) } });
+    } else {
+        performGraphEdit({ action: 'addEdge', link: { edge: { source: u, target: v, added: true }, index: graphData.edges.length, failed: false } });
+    }
+}
 
-    // Always add starting point
-    points.push(sourceVector.clone());
+// Remove the selected node with its links (all recorded in the edit, so undo puts them back)
+function deleteSelectedNode() {
+    if (editSelectedNodeId === null) {
+        pathQueryInfoDiv.textContent = 'Click a node to select it first.';
+        return;
+    }
+    const nodeId = editSelectedNodeId;
+    const edges = [];
+    graphData.edges.forEach((edge, index) => {
+        if (edge.source === nodeId || edge.target === nodeId) {
+            edges.push({ edge: edge, index: index, failed: failedEdges.has(getEdgeKey(edge.source, edge.target)) });
+        }
+    });
+    const index = graphData.nodes.findIndex(node => node.id === nodeId);
+    performGraphEdit({
+        action: 'removeNode',
+        node: graphData.nodes[index],
+        index: index,
+        position: nodeMeshMap.get(nodeId).position.clone(),
+        failed: failedNodes.has(nodeId),
+        edges: edges
+    });
+}
 
-    // Add intermediate points with randomization
-    for (let j = 1; j < segments; j++) {
-        const point = sourceVector.clone().add(direction.clone().multiplyScalar(j * segmentLength));
+// Delete/Backspace removes the selected node, Ctrl+Z undoes and Ctrl+Y (or Ctrl+Shift+Z) redoes;
+// only in the edit mode, and not while typing in a field
+function onEditorKeyDown(event) {
+    if (clickModeSelect.value !== 'edit' || comparisonMode) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.nodeName)) return;
+    const key = event.key.toLowerCase();
+    const withCtrl = event.ctrlKey || event.metaKey;
+    if (key === 'delete' || key === 'backspace') {
+        event.preventDefault();
+        deleteSelectedNode();
+    } else if (withCtrl && (key === 'y' || (key === 'z' && event.shiftKey))) {
+        event.preventDefault();
+        redoGraphEdit();
+    } else if (withCtrl && key === 'z') {
+        event.preventDefault();
+        undoGraphEdit();
+    }
+}
 
-        // Add randomness to create jagged effect
-        point.x += (Math.random() - 0.5) * segmentLength * 1.5;
-        point.y += (Math.random() - 0.5) * segmentLength * 1.5;
-        point.z += (Math.random() - 0.5) * segmentLength * 1.5;
+// --- Topology Comparison ---
+// "Add current" snapshots the rendered graph into its own scene with its own camera and OrbitControls.
+// The split view draws every snapshot into one viewport of the shared renderer (scissor test).
+
+// Rows of the comparison table: every scalar value of calculateGraphMetrics plus cost figures
+const COMPARISON_ROWS = [
+    { label: 'Nodes', value: entry => entry.nodeCount },
+    { label: 'Total edges', value: entry => entry.edgeCount },
+    { label: 'Edges per node', value: entry => entry.nodeCount > 0 ? (entry.edgeCount / entry.nodeCount).toFixed(2) : 0 },
+    { label: 'Max degree', value: entry => entry.metrics.maxDegree },
+    { label: 'Avg degree', value: entry => entry.metrics.avgDegree },
+    { label: 'Min degree', value: entry => entry.metrics.minDegree },
+    { label: 'Diameter', value: entry => entry.metrics.diameter },
+    { label: 'Radius', value: entry => entry.metrics.radius },
+    { label: 'Avg path length', value: entry => entry.metrics.avgPathLength },
+    { label: 'Bisection width (est.)', value: entry => entry.metrics.bisectionWidth },
+    { label: 'Vertex connectivity', value: entry => entry.metrics.vertexConnectivity },
+    { label: 'Edge connectivity', value: entry => entry.metrics.edgeConnectivity },
+    { label: 'Components', value: entry => entry.metrics.componentCount },
+    { label: 'Cut vertices', value: entry => entry.metrics.articulationPoints.length },
+    { label: 'Bridges', value: entry => entry.metrics.bridges.length },
+    { label: 'Max closeness', value: entry => Math.max(0, ...entry.metrics.perNode.closeness) },
+    { label: 'Max betweenness', value: entry => Math.max(0, ...entry.metrics.perNode.betweenness) }
+];
+
+// Short description of the current configuration, e.g. "Torus (rows=8, cols=8, 3D)"
+function describeConfiguration() {
+    const typeName = topologyTypeSelect.options[topologyTypeSelect.selectedIndex]?.text || currentTopology.type;
+    const parts = Object.entries(currentTopology.params)
+        .filter(([, value]) => value !== '' && value !== undefined)
+        .map(([name, value]) => `${name}=${value}`);
+    if (currentTopology.type === 'custom' && importedFile) parts.unshift(importedFile.name);
+    if (currentTopology.use3DLayout) parts.push('3D');
+    if (currentTopology.edited) parts.push('edited');
+    if (failedNodes.size + failedEdges.size > 0) parts.push(`${failedNodes.size + failedEdges.size} failed`);
+    return parts.length > 0 ? `${typeName} (${parts.join(', ')})` : typeName;
+}
 
-        points.push(point);
+function addCurrentToComparison() {
+    if (graphData.nodes.length === 0) {
+        showError('Nothing to compare: generate a graph first.');
+        return;
+    }
+    if (!currentMetrics) {
+        showError('The metrics of this graph are still being computed.');
+        return;
+    }
+    const entryScene = new THREE.Scene();
+    entryScene.background = scene.background;
+    addSceneLights(entryScene);
+    // Copies in their resting materials, so highlights and later changes to the main scene don't leak in
+    if (nodeInstances) {
+        const nodeCopy = new THREE.InstancedMesh(nodeInstances.geometry.clone(), NODE_INSTANCE_MATERIAL, nodeInstances.count);
+        nodeCopy.instanceMatrix.copy(nodeInstances.instanceMatrix);
+        nodeCopy.frustumCulled = false;
+        nodeMeshMap.forEach(mesh => colorNodeInstance(nodeCopy, mesh, mesh.userData.baseMaterial));
+        const edgeCopy = new THREE.LineSegments(edgeSegments.geometry.clone(), EDGE_SEGMENT_MATERIAL);
+        edgeMeshMap.forEach(line => colorEdgeSegments(edgeCopy, line, line.userData.baseMaterial));
+        entryScene.add(nodeCopy, edgeCopy);
     }
 
-    // Always add ending point
-    points.push(targetVector.clone());
+    const entryCamera = camera.clone();
+    const entryControls = new THREE.OrbitControls(entryCamera, renderer.domElement);
+    entryControls.enableDamping = true;
+    entryControls.dampingFactor = 0.05;
+    entryControls.screenSpacePanning = false;
+    entryControls.target.copy(controls.target);
+    entryControls.enabled = false; // Enabled by activateComparisonControls for the viewport under the pointer
+    entryControls.update();
+
+    const surviving = getSurvivingGraph();
+    comparisonEntries.push({
+        label: describeConfiguration(),
+        scene: entryScene,
+        camera: entryCamera,
+        controls: entryControls,
+        metrics: currentMetrics,
+        nodeCount: surviving.nodes.length,
+        edgeCount: surviving.edges.length
+    });
+    updateComparisonView();
+}
 
-    // Validate that all points are valid Vector3 objects
-    const validPoints = points.filter(p => 
-        p && p instanceof THREE.Vector3 && 
-        typeof p.x === 'number' && 
-        typeof p.y === 'number' && 
-        typeof p.z === 'number' && 
-        !isNaN(p.x) && !isNaN(p.y) && !isNaN(p.z)
-    );
+function removeComparisonEntry(index) {
+    const [entry] = comparisonEntries.splice(index, 1);
+    entry.controls.dispose();
+    entry.scene.traverse(object => {
+        if (object.geometry) object.geometry.dispose(); // Materials are shared with the main scene
+    });
+    if (comparisonEntries.length === 0) setComparisonMode(false);
+    updateComparisonView();
+}
 
-    // Ensure we have at least 2 points
-    if (validPoints.length < 2) {
-        console.warn('Not enough valid points for lightning path, using fallback');
-        return [sourceVector.clone(), targetVector.clone()];
-    }
+function clearComparison() {
+    while (comparisonEntries.length > 0) removeComparisonEntry(comparisonEntries.length - 1);
+}
 
-    // Create a smooth curve using CatmullRomCurve3
-    const curve = new THREE.CatmullRomCurve3(validPoints);
-    return curve.getPoints(segments * 10); // Increase points for smoother curve
+function setComparisonMode(enabled) {
+    if (enabled && comparisonEntries.length === 0) addCurrentToComparison();
+    comparisonMode = enabled && comparisonEntries.length > 0;
+    comparisonViewCheckbox.checked = comparisonMode;
+    controls.enabled = !comparisonMode;
+    if (comparisonMode) clearHighlights();
+    comparisonEntries.forEach(entry => { entry.controls.enabled = false; });
+    updateComparisonView();
 }
 
-function clearActiveLightningBolts() {
-    // Create a copy of the array to iterate over, as stopAnimation might modify the original array indirectly
-    const boltsToClear = [...activeLightningBolts];
-    boltsToClear.forEach(group => {
-        // Call the stop function if it exists
-        if (group.userData && typeof group.userData.stopAnimation === 'function') {
-            group.userData.stopAnimation();
-        }
-        // Remove from scene and dispose resources immediately
-        // The animation loop check will prevent errors on the next frame
-        scene.remove(group);
-        group.children.forEach(child => {
-            if (child.geometry) child.geometry.dispose();
-            if (child.material) child.material.dispose();
+function updateComparisonView() {
+    const count = comparisonEntries.length;
+    comparisonSummaryDiv.textContent = count === 0 ? '' : `${count} configuration${count === 1 ? '' : 's'} added.`;
+    comparisonPanel.style.display = comparisonMode ? '' : 'none';
+    updateComparisonTable();
+    updateComparisonLabels();
+}
+
+// Grid of viewports (CSS pixels, origin top-left) covering the container, one per entry
+function getComparisonViewports() {
+    const count = comparisonEntries.length;
+    const columns = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / columns);
+    const width = container.clientWidth / columns;
+    const height = container.clientHeight / rows;
+    return comparisonEntries.map((_, i) => ({
+        left: Math.floor((i % columns) * width),
+        top: Math.floor(Math.floor(i / columns) * height),
+        width: Math.floor(width),
+        height: Math.floor(height)
+    }));
+}
+
+function getComparisonEntryAt(clientX, clientY) {
+    const bounds = renderer.domElement.getBoundingClientRect();
+    const x = clientX - bounds.left;
+    const y = clientY - bounds.top;
+    const index = getComparisonViewports().findIndex(rect =>
+        x >= rect.left && x < rect.left + rect.width && y >= rect.top && y < rect.top + rect.height);
+    return index >= 0 ? comparisonEntries[index] : null;
+}
+
+// Only the controls of the viewport under the pointer react to a drag or scroll
+function activateComparisonControls(event) {
+    if (!comparisonMode) return;
+    const active = getComparisonEntryAt(event.clientX, event.clientY);
+    comparisonEntries.forEach(entry => { entry.controls.enabled = entry === active; });
+}
+
+function renderComparison() {
+    const height = container.clientHeight;
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, container.clientWidth, height);
+    renderer.setClearColor(0x111111); // Shows as thin dividers between the viewports
+    renderer.clear();
+    renderer.setScissorTest(true);
+    getComparisonViewports().forEach((rect, i) => {
+        const entry = comparisonEntries[i];
+        entry.controls.update();
+        entry.camera.aspect = rect.width / rect.height;
+        entry.camera.updateProjectionMatrix();
+        // WebGL viewports are measured from the bottom-left corner
+        const bottom = height - rect.top - rect.height;
+        renderer.setViewport(rect.left + 1, bottom + 1, rect.width - 2, rect.height - 2);
+        renderer.setScissor(rect.left + 1, bottom + 1, rect.width - 2, rect.height - 2);
+        renderer.render(entry.scene, entry.camera);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, container.clientWidth, height);
+}
+
+// Name of each configuration in the bottom-left corner of its viewport
+function updateComparisonLabels() {
+    comparisonLabelsDiv.innerHTML = '';
+    if (!comparisonMode) return;
+    getComparisonViewports().forEach((rect, i) => {
+        const label = document.createElement('div');
+        label.className = 'comparisonLabel';
+        label.style.left = `${rect.left + 10}px`;
+        label.style.top = `${rect.top + rect.height - 30}px`;
+        label.textContent = `${i + 1}. ${comparisonEntries[i].label}`;
+        comparisonLabelsDiv.appendChild(label);
+    });
+}
+
+function updateComparisonTable() {
+    const table = document.getElementById('comparisonTable');
+    table.innerHTML = '';
+    if (comparisonEntries.length === 0) return;
+    const formatValue = value => {
+        if (value === Infinity) return 'Disconnected';
+        if (value === null || value === undefined) return '?';
+        return value;
+    };
+
+    const header = table.insertRow();
+    header.appendChild(document.createElement('th'));
+    comparisonEntries.forEach((entry, i) => {
+        const cell = document.createElement('th');
+        cell.textContent = `${i + 1}. ${entry.label} `;
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '×';
+        removeButton.title = 'Remove from comparison';
+        removeButton.addEventListener('click', () => removeComparisonEntry(i));
+        cell.appendChild(removeButton);
+        header.appendChild(cell);
+    });
+    COMPARISON_ROWS.forEach(row => {
+        const tableRow = table.insertRow();
+        const labelCell = document.createElement('th');
+        labelCell.textContent = row.label;
+        tableRow.appendChild(labelCell);
+        comparisonEntries.forEach(entry => {
+            tableRow.insertCell().textContent = formatValue(row.value(entry));
         });
     });
-    activeLightningBolts = []; // Clear the main tracking array
 }
 
-// Update the highlight function to use persistent lightning bolts
-function highlightDiameterPath(sourceNodeId) {
-    clearHighlights(); // Clear previous state & cancel animations
+// --- Parameter Sweep ---
+// Generates the current topology for every value of one numeric parameter (the others stay fixed)
+// and computes its metrics without rendering; the results are charted against size.
+
+// One option per numeric input in paramsContainer, plus "rows = cols" for square meshes/tori
+function updateSweepOptions() {
+    cancelParameterSweep();
+    sweepParameterSelect.innerHTML = '';
+    const numericInputs = [...paramsContainer.querySelectorAll('input[type="number"]')];
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        sweepParameterSelect.appendChild(option);
+    };
+    if (numericInputs.some(input => input.id === 'rows') && numericInputs.some(input => input.id === 'cols')) {
+        addOption('rows,cols', 'Side (rows = cols)');
+    }
+    numericInputs.forEach(input => {
+        const label = input.parentElement.querySelector('label');
+        addOption(input.id, label ? label.textContent.replace(/:$/, '') : input.id);
+    });
+    sweepParameterSelect.disabled = numericInputs.length === 0;
+    document.getElementById('runSweep').disabled = numericInputs.length === 0;
+    resetSweepRange();
+}
 
-    if (!adjacencyList || adjacencyList.size === 0) return;
+// Default range: the parameter input's own min..max
+function resetSweepRange() {
+    const input = document.getElementById(sweepParameterSelect.value.split(',')[0]);
+    if (!input) return;
+    document.getElementById('sweepFrom').value = input.min;
+    document.getElementById('sweepTo').value = input.max;
+    document.getElementById('sweepStep').value = input.step || 1;
+}
 
-    const { distances, predecessors } = bfs(sourceNodeId, adjacencyList, graphData.nodes);
+function cancelParameterSweep() {
+    if (sweepTimeout !== null || sweepMetricsRunner.busy) {
+        clearTimeout(sweepTimeout);
+        sweepTimeout = null;
+        sweepMetricsRunner.cancel();
+        sweepSummaryDiv.textContent = 'Sweep cancelled.';
+    }
+}
 
-    let maxDistance = 0;
-    let furthestNodesIds = [];
+function runParameterSweep() {
+    cancelParameterSweep();
+    clearError();
+    const parameterIds = sweepParameterSelect.value.split(',').filter(id => id);
+    const from = parseFloat(document.getElementById('sweepFrom').value);
+    const to = parseFloat(document.getElementById('sweepTo').value);
+    const step = parseFloat(document.getElementById('sweepStep').value);
+    if (parameterIds.length === 0) {
+        showError('This topology has no numeric parameter to sweep.');
+        return;
+    }
+    if ([from, to, step].some(isNaN) || step <= 0 || to < from) {
+        showError('Sweep range needs numbers with from ≤ to and a positive step.');
+        return;
+    }
+    // The inputs' own limits keep every generated graph to a size its generator handles quickly
+    const limits = parameterIds.map(id => document.getElementById(id));
+    const min = Math.max(...limits.map(input => (input.min === '' ? -Infinity : parseFloat(input.min))));
+    const max = Math.min(...limits.map(input => (input.max === '' ? Infinity : parseFloat(input.max))));
+    if (from < min || to > max) {
+        showError(`Sweep range for ${sweepParameterSelect.options[sweepParameterSelect.selectedIndex].textContent} ` +
+            `must lie within ${min}–${max}.`);
+        return;
+    }
+    const count = Math.floor((to - from) / step + 1e-9) + 1;
+    if (count > SWEEP_MAX_POINTS) {
+        showError(`Sweep has ${count} values; at most ${SWEEP_MAX_POINTS} are supported. Use a larger step.`);
+        return;
+    }
+    // Rounded so steps like 0.1 don't accumulate floating-point error
+    const values = Array.from({ length: count }, (_, i) => parseFloat((from + i * step).toFixed(6)));
 
-    // Find the maximum distance and furthest nodes
-    distances.forEach((dist, nodeId) => {
-        if (dist !== Infinity) {
-            if (dist > maxDistance) {
-                maxDistance = dist;
-                furthestNodesIds = [nodeId];
-            } else if (dist === maxDistance) {
-                furthestNodesIds.push(nodeId);
-            }
+    const type = topologyTypeSelect.value;
+    const baseParams = readTopologyParams().params;
+    const fixed = Object.assign({}, baseParams);
+    parameterIds.forEach(id => delete fixed[id]);
+    sweepResult = {
+        type: type,
+        parameter: sweepParameterSelect.options[sweepParameterSelect.selectedIndex].textContent,
+        parameterIds: parameterIds,
+        fixed: fixed,
+        points: []
+    };
+    sweepPanel.style.display = '';
+    updateSweepDisplay();
+
+    const runStep = index => {
+        sweepTimeout = null;
+        if (index >= values.length) {
+            sweepSummaryDiv.textContent = `${sweepResult.points.length} configurations.`;
+            return;
+        }
+        const params = Object.assign({}, baseParams);
+        parameterIds.forEach(id => { params[id] = values[index]; });
+        const graph = generateTopology(type, params);
+        if (graph.nodes.length > GRAPH_MAX_NODES) {
+            sweepSummaryDiv.textContent = `Stopped at ${values[index]}: ${graph.nodes.length} nodes exceeds the ${GRAPH_MAX_NODES}-node limit.`;
+            return;
         }
+        const progressText = fraction => `Running: ${index + 1} of ${values.length}` +
+            (fraction < 1 ? ` (${Math.round(fraction * 100)}% of this graph)…` : '…');
+        sweepMetricsRunner.compute(graph, buildAdjacencyList(graph), {
+            onProgress: fraction => { sweepSummaryDiv.textContent = progressText(fraction); },
+            onDone: metrics => {
+                addSweepPoint(values[index], graph, metrics);
+                sweepSummaryDiv.textContent = progressText(1);
+                sweepTimeout = setTimeout(() => runStep(index + 1), 0);
+            },
+            onError: error => { sweepSummaryDiv.textContent = `Stopped at ${values[index]}: ${error.message}`; }
+        });
+    };
+    sweepTimeout = setTimeout(() => runStep(0), 0);
+}
+
+function addSweepPoint(value, graph, metrics) {
+    sweepResult.points.push({
+        value: value,
+        nodeCount: graph.nodes.length,
+        edgeCount: graph.edges.length,
+        diameter: metrics.diameter,
+        avgPathLength: metrics.avgPathLength,
+        radius: metrics.radius,
+        bisectionWidth: metrics.bisectionWidth,
+        minDegree: metrics.minDegree,
+        avgDegree: metrics.avgDegree,
+        maxDegree: metrics.maxDegree,
+        components: metrics.componentCount,
+        vertexConnectivity: metrics.vertexConnectivity,
+        edgeConnectivity: metrics.edgeConnectivity
     });
+    updateSweepDisplay();
+}
 
-    if (maxDistance === 0) {
-        const sourceMesh = nodeMeshMap.get(sourceNodeId);
-        if (sourceMesh) {
-            sourceMesh.material = HIGHLIGHT_NODE_MATERIAL;
-            highlightedElements.nodes.push(sourceMesh);
-        }
+// Charts of diameter, avg path length, edges and bisection width against size, plus the table
+function updateSweepDisplay() {
+    if (!sweepResult) return;
+    const points = sweepResult.points;
+    // Plot against the node count when it grows with the parameter, otherwise against the parameter
+    const bySize = points.every((point, i) => i === 0 || point.nodeCount > points[i - 1].nodeCount);
+    sweepPanel.querySelectorAll('.sweepAxis').forEach(span => { span.textContent = bySize ? 'nodes' : sweepResult.parameter; });
+    const chart = (id, key, color) => {
+        // Disconnected configurations (infinite distances) are left out of the distance charts
+        const finite = points.filter(point => point[key] !== Infinity);
+        drawLineChart(document.getElementById(id), finite.map(point => bySize ? point.nodeCount : point.value),
+            [{ values: finite.map(point => point[key]), color: color }], { leftLabel: 'max {max}' });
+    };
+    chart('sweepDiameterChart', 'diameter', '#ff6b6b');
+    chart('sweepPathLengthChart', 'avgPathLength', '#ffd93d');
+    chart('sweepEdgeChart', 'edgeCount', '#6bcb77');
+    chart('sweepBisectionChart', 'bisectionWidth', '#00aaff');
+
+    const table = document.getElementById('sweepTable');
+    table.innerHTML = '';
+    const header = table.insertRow();
+    [sweepResult.parameter, 'Nodes', 'Edges', 'Diameter', 'Avg path', 'Bisection', 'Max degree'].forEach(title => {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    });
+    points.forEach(point => {
+        const row = table.insertRow();
+        [point.value, point.nodeCount, point.edgeCount, point.diameter, point.avgPathLength, point.bisectionWidth, point.maxDegree]
+            .forEach(value => { row.insertCell().textContent = value === Infinity ? '∞' : value; });
+    });
+}
+
+function exportSweepCSV() {
+    if (!sweepResult || sweepResult.points.length === 0) {
+        showError('Nothing to export: run a sweep first.');
         return;
     }
+    const columns = Object.keys(sweepResult.points[0]);
+    const lines = [
+        `# topology: ${sweepResult.type}`,
+        `# swept: ${sweepResult.parameterIds.join(',')}`,
+        `# fixed: ${JSON.stringify(sweepResult.fixed)}`,
+        [sweepResult.parameterIds.join('='), ...columns.slice(1)].join(',')
+    ];
+    // Infinite distances (disconnected graphs) are written as empty fields, as in the graph exports
+    sweepResult.points.forEach(point => {
+        lines.push(columns.map(column => formatAttributeValue(point[column] === Infinity ? null : point[column])).join(','));
+    });
+    downloadFile(`${sweepResult.type}-sweep-${sweepResult.parameterIds.join('-')}.csv`, lines.join('\n') + '\n', 'text/csv');
+}
 
-    // Highlight source node
-    const sourceMesh = nodeMeshMap.get(sourceNodeId);
-    if (sourceMesh) {
-        sourceMesh.material = HIGHLIGHT_NODE_MATERIAL;
-        highlightedElements.nodes.push(sourceMesh);
+// --- Layouts ---
+// A layout maps every node to a position: (graph, options) -> { positions (node id -> Vector3),
+// camera (camera position; it looks at the origin) }. options: { type, params, use3DLayout (the
+// torus parameter), dimensions (2 or 3, from the Layout section), projection (hypercube projection,
+// a key of HYPERCUBE_PROJECTIONS) }. Circle, grid, spectral and layered work on any graph and are
+// offered in the Layout dropdown; the others rely on attributes of one topology (row/col, binary
+// label, tier, ...) and are used as its default.
+const LAYOUTS = {
+    circle: layoutCircle,
+    grid: layoutGrid,
+    spectral: layoutSpectral,
+    layered: layoutLayered,
+    torus3d: layoutTorus3D,
+    hypercube: layoutHypercube,
+    fattree: layoutFatTree,
+    lattice: layoutLattice,
+    file: layoutFromFile,
+    dragonfly: layoutDragonfly
+};
+
+// Layout used for a topology when the dropdown is on "Topology default"
+function getDefaultLayout(type, use3DLayout) {
+    if (CIRCLE_LAYOUT_TYPES.includes(type)) return 'circle';
+    if (type === 'torus') return use3DLayout ? 'torus3d' : 'grid';
+    if (type === 'mesh') return 'grid';
+    if (type === 'ncube') return 'lattice';
+    if (type === 'custom') return 'file';
+    return LAYOUTS[type] ? type : 'circle'; // hypercube, fattree, dragonfly
+}
+
+// Camera straight in front of a flat layout, never closer than the initial distance
+function frontCamera(distance) {
+    return new THREE.Vector3(0, 0, Math.max(30, distance));
+}
+
+// Rows and columns of a grid: from the row/col attributes (mesh, torus) or as square as possible
+function getGridSize(graph) {
+    const n = graph.nodes.length;
+    if (graph.nodes[0]?.hasOwnProperty('row') && graph.nodes[0]?.hasOwnProperty('col')) {
+        return {
+            rows: Math.max(...graph.nodes.map(node => node.row ?? 0)) + 1,
+            cols: Math.max(...graph.nodes.map(node => node.col ?? 0)) + 1
+        };
     }
+    const cols = Math.ceil(Math.sqrt(n));
+    return { rows: Math.ceil(n / cols), cols: cols };
+}
 
-    // Create lightning bolts for each path
-    furthestNodesIds.forEach(targetNodeId => {
-        const pathNodeIds = reconstructPath(sourceNodeId, targetNodeId, predecessors);
-        if (pathNodeIds && pathNodeIds.length > 1) {
-            // Highlight intermediate path nodes
-            for (let i = 1; i < pathNodeIds.length - 1; i++) {
-                const nodeMesh = nodeMeshMap.get(pathNodeIds[i]);
-                if (nodeMesh) {
-                    nodeMesh.material = PATH_NODE_MATERIAL;
-                    highlightedElements.nodes.push(nodeMesh);
+// Center arbitrary coordinates ([x, y, z] per node, in graph.nodes order) and scale them to a size
+// where nodes don't overlap
+function fitPositions(graph, coordinates) {
+    const n = graph.nodes.length;
+    const axes = [0, 1, 2].map(axis => coordinates.map(point => point[axis]));
+    const min = axes.map(values => Math.min(...values));
+    const max = axes.map(values => Math.max(...values));
+    const extent = Math.max(...max.map((value, axis) => value - min[axis])) || 1;
+    const targetSize = Math.max(20, Math.sqrt(n) * 6);
+    const scale = targetSize / extent;
+    const positions = new Map();
+    graph.nodes.forEach((node, i) => {
+        positions.set(node.id, new THREE.Vector3(...coordinates[i].map((value, axis) => (value - (max[axis] + min[axis]) / 2) * scale)));
+    });
+    return { positions: positions, size: targetSize };
+}
+
+function layoutCircle(graph) {
+    const n = graph.nodes.length;
+    const positions = new Map();
+    const layoutRadius = n > 1 ? Math.max(5, n * 0.8) : 0;
+    graph.nodes.forEach((node, i) => {
+        const angle = (i / n) * Math.PI * 2;
+        positions.set(node.id, new THREE.Vector3(layoutRadius * Math.cos(angle), layoutRadius * Math.sin(angle), 0));
+    });
+    return { positions: positions, camera: frontCamera(layoutRadius * 2.5) };
+}
+
+function layoutGrid(graph) {
+    const positions = new Map();
+    const { rows, cols } = getGridSize(graph);
+    const hasCells = graph.nodes[0]?.hasOwnProperty('row') && graph.nodes[0]?.hasOwnProperty('col');
+    const gridSpacing = 3 * NODE_RADIUS;
+    const totalWidth = (cols - 1) * gridSpacing;
+    const totalHeight = (rows - 1) * gridSpacing;
+    graph.nodes.forEach((node, i) => {
+        const r = hasCells ? node.row ?? 0 : Math.floor(i / cols);
+        const c = hasCells ? node.col ?? 0 : i % cols;
+        positions.set(node.id, new THREE.Vector3((c * gridSpacing) - totalWidth / 2, (-r * gridSpacing) + totalHeight / 2, 0));
+    });
+    return { positions: positions, camera: frontCamera(Math.max(totalWidth, totalHeight, 20) * 1.5) };
+}
+
+// Coordinates from the Laplacian eigenvectors of the smallest non-zero eigenvalues (one per axis):
+// smooth along the links, so tori, circulants and hypercubes show their symmetry. Every component
+// of a disconnected graph collapses onto its own point.
+function layoutSpectral(graph, options) {
+    const { offsets, targets } = buildCSRAdjacency(graph, buildAdjacencyList(graph));
+    const n = graph.nodes.length;
+    const dimensions = Math.min(options.dimensions, n - 1);
+    // Power iteration converges slowly on large graphs; spend up to a fixed amount of work on it.
+    // An iteration passes over the links and a few times over the nodes for each vector.
+    const iterationWork = Math.max(1, dimensions) * (targets.length + 3 * n);
+    const iterations = Math.max(SPECTRAL_LAYOUT_MIN_ITERATIONS, Math.min(5000, Math.floor(SPECTRAL_LAYOUT_MAX_WORK / iterationWork)));
+    // Cosines of the BFS distance from spread-out pivots (half a period over the pivot's
+    // eccentricity) are smooth over the graph, so they start the power iteration close to the low
+    // eigenvectors; on rings and paths they are the eigenvectors
+    const startVectors = [];
+    const nearest = new Float64Array(n).fill(Infinity);
+    for (let pivot = 0; startVectors.length < Math.min(SPECTRAL_LAYOUT_PIVOTS, n);) {
+        const distances = new Float64Array(n).fill(-1);
+        distances[pivot] = 0;
+        const queue = [pivot];
+        for (let head = 0; head < queue.length; head++) {
+            const u = queue[head];
+            for (let k = offsets[u]; k < offsets[u + 1]; k++) {
+                if (distances[targets[k]] < 0) {
+                    distances[targets[k]] = distances[u] + 1;
+                    queue.push(targets[k]);
                 }
             }
+        }
+        const eccentricity = distances[queue[queue.length - 1]] || 1;
+        startVectors.push(distances.map((d, i) => {
+            if (d < 0) return 0; // Other components
+            nearest[i] = Math.min(nearest[i], d);
+            return Math.cos(Math.PI * d / eccentricity);
+        }));
+        // Next pivot: the node farthest from every pivot so far (unreached nodes first)
+        for (let i = 0; i < n; i++) if (nearest[i] > nearest[pivot]) pivot = i;
+    }
+    const vectors = computeLaplacianEigenvectors(offsets, targets, dimensions, iterations, startVectors);
+    const coordinates = graph.nodes.map((_, i) => [0, 1, 2].map(axis => vectors[axis] ? vectors[axis][i] : 0));
+    const { positions, size } = fitPositions(graph, coordinates);
+    return {
+        positions: positions,
+        camera: options.dimensions === 3 ? new THREE.Vector3(size * 0.6, size * 0.4, size * 1.2) : frontCamera(size * 1.5)
+    };
+}
 
-            // Highlight target node
-            const targetMesh = nodeMeshMap.get(targetNodeId);
-            if (targetMesh) {
-                targetMesh.material = HIGHLIGHT_NODE_MATERIAL;
-                highlightedElements.nodes.push(targetMesh);
+// Sugiyama-style layered drawing: nodes are put in layers (their tier if every node has one, else
+// the BFS depth from the highest-degree node of each component), the order inside each layer is
+// improved with barycenter sweeps to reduce crossings, and layers are spread over the same width.
+// BFS layers only have links between neighboring layers or inside a layer, so no dummy nodes are
+// needed for long links.
+function layoutLayered(graph) {
+    const adj = buildAdjacencyList(graph);
+    const layerOf = new Map();
+    const layers = [];
+    const addToLayer = (id, layer) => {
+        layerOf.set(id, layer);
+        while (layers.length <= layer) layers.push([]);
+        layers[layer].push(id);
+    };
+    if (graph.nodes.every(node => FAT_TREE_TIERS.includes(node.tier))) {
+        graph.nodes.forEach(node => addToLayer(node.id, FAT_TREE_TIERS.indexOf(node.tier)));
+    } else {
+        const byDegree = [...graph.nodes].sort((a, b) => adj.get(b.id).length - adj.get(a.id).length);
+        byDegree.forEach(root => {
+            if (layerOf.has(root.id)) return;
+            addToLayer(root.id, 0);
+            const queue = [root.id];
+            for (let head = 0; head < queue.length; head++) {
+                const u = queue[head];
+                adj.get(u).forEach(v => {
+                    if (!layerOf.has(v)) {
+                        addToLayer(v, layerOf.get(u) + 1);
+                        queue.push(v);
+                    }
+                });
             }
+        });
+    }
 
-            // Create animated lightning bolts between each pair of nodes
-            for (let i = 1; i < pathNodeIds.length; i++) {
-                const sourceId = pathNodeIds[i - 1];
-                const targetId = pathNodeIds[i];
+    // Relative position (0..1) of each node inside its layer, comparable across layers of any size
+    const position = new Map();
+    const placeLayer = layer => layer.forEach((id, i) => position.set(id, (i + 0.5) / layer.length));
+    layers.forEach(placeLayer);
+    const sweep = (layer, reference) => {
+        const barycenter = new Map();
+        layers[layer].forEach(id => {
+            const neighbors = adj.get(id).filter(v => layerOf.get(v) === reference);
+            barycenter.set(id, neighbors.length > 0
+                ? neighbors.reduce((sum, v) => sum + position.get(v), 0) / neighbors.length
+                : position.get(id)); // Nodes without neighbors there keep their place
+        });
+        layers[layer].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+        placeLayer(layers[layer]);
+    };
+    for (let pass = 0; pass < LAYERED_LAYOUT_PASSES; pass++) {
+        for (let layer = 1; layer < layers.length; layer++) sweep(layer, layer - 1);
+        for (let layer = layers.length - 2; layer >= 0; layer--) sweep(layer, layer + 1);
+    }
 
-                const sourceMesh = nodeMeshMap.get(sourceId);
-                const targetMesh = nodeMeshMap.get(targetId);
+    const bandSpacing = NODE_RADIUS * 10;
+    const width = Math.max(...layers.map(layer => layer.length)) * NODE_RADIUS * 3;
+    const height = (layers.length - 1) * bandSpacing;
+    const positions = new Map();
+    layers.forEach((layer, l) => layer.forEach(id => {
+        positions.set(id, new THREE.Vector3((position.get(id) - 0.5) * width, height / 2 - l * bandSpacing, 0));
+    }));
+    return { positions: positions, camera: frontCamera(Math.max(width, height) * 0.7) };
+}
 
-                if (sourceMesh && targetMesh) {
-                    // Use the new progressive lightning function with timing based on position in path
-                    const delay = (i - 1) * 300; // Staggered delay for each segment
-
-                    // Store the timeout ID so it can be cleared
-                    const timeoutId = setTimeout(() => {
-                        // Remove this ID from the active list once the timeout fires
-                        const index = activeHighlightTimeouts.indexOf(timeoutId);
-                        if (index > -1) {
-                            activeHighlightTimeouts.splice(index, 1);
-                        }
-                        // Only create the bolt if highlights haven't been cleared in the meantime
-                        // (Checking if source/target nodes are still highlighted is a proxy)
-                        if (highlightedElements.nodes.includes(sourceMesh) && highlightedElements.nodes.includes(targetMesh)) {
-                           createProgressiveLightningBolt(sourceMesh.position, targetMesh.position, 3000, true);
-                        }
-                    }, delay);
-                    // Add the timeout ID to the list immediately
-                    activeHighlightTimeouts.push(timeoutId);
-                }
-            }
-        }
+// Geometric torus: columns around the major circle, rows around the tube
+function layoutTorus3D(graph) {
+    const positions = new Map();
+    const { rows, cols } = getGridSize(graph);
+    const nodeSpacingFactor = NODE_RADIUS * 3.5;
+    const minorCircumference = rows * nodeSpacingFactor;
+    const minorRadius = Math.max(NODE_RADIUS * 1.5, minorCircumference / (2 * Math.PI));
+    const majorCircumference = cols * nodeSpacingFactor;
+    const majorRadius = Math.max(minorRadius * 2.0, majorCircumference / (2 * Math.PI));
+    graph.nodes.forEach(node => {
+        const majorAngle = ((node.col ?? 0) / cols) * Math.PI * 2;
+        const minorAngle = ((node.row ?? 0) / rows) * Math.PI * 2;
+        const x = (majorRadius + minorRadius * Math.cos(minorAngle)) * Math.cos(majorAngle);
+        const y = (majorRadius + minorRadius * Math.cos(minorAngle)) * Math.sin(majorAngle);
+        const z = minorRadius * Math.sin(minorAngle);
+        positions.set(node.id, new THREE.Vector3(x, y, z));
     });
+    const viewDistance = (majorRadius + minorRadius) * 2.2;
+    return { positions: positions, camera: new THREE.Vector3(0, minorRadius * 0.5, Math.max(30, viewDistance)) };
 }
 
-function visualizeGraph(graph, type, use3DLayout = false, params = {}) {
-    clearVisualization();
-    const nodePositions = new Map();
+// Projection of the hypercube chosen in the Layout section (nested cubes or Petrie polygon)
+function layoutHypercube(graph, options) {
+    const d = getHypercubeDimension(graph);
+    const project = HYPERCUBE_PROJECTIONS[options.projection] || projectNestedCubes;
+    const positions = new Map();
+    let extent = 0;
+    graph.nodes.forEach(node => {
+        const position = project(getHypercubeCoordinates(node.id, d), new THREE.Vector3());
+        positions.set(node.id, position);
+        extent = Math.max(extent, position.length());
+    });
+    return { positions: positions, camera: frontCamera(extent * 2) };
+}
+
+// One horizontal band per tier; switches inside a pod sit above the hosts they serve
+function layoutFatTree(graph) {
+    const positions = new Map();
+    const bandSpacing = NODE_RADIUS * 10; // Vertical distance between tiers
+    const hostSpacing = NODE_RADIUS * 3;  // Horizontal distance between hosts
+    const podGap = NODE_RADIUS * 4;       // Extra space between pods
+
+    const tiers = new Map(FAT_TREE_TIERS.map(tier => [tier, []]));
+    graph.nodes.forEach(node => tiers.get(node.tier)?.push(node));
+    const hosts = tiers.get('host');
+    const pods = hosts.length > 0 ? Math.max(...hosts.map(h => h.pod)) + 1 : 1;
+    const hostsPerPod = hosts.length / pods;
+    const totalWidth = (hosts.length - 1) * hostSpacing + (pods - 1) * podGap;
+    const topY = (FAT_TREE_TIERS.length - 1) * bandSpacing / 2;
+
+    // Hosts are spread evenly; switches inside a pod sit above the hosts they serve
+    const bandY = tier => topY - FAT_TREE_TIERS.indexOf(tier) * bandSpacing;
+    const podStart = pod => pod * (hostsPerPod * hostSpacing + podGap) - totalWidth / 2;
+    hosts.forEach(node => {
+        const x = podStart(node.pod) + (node.index % hostsPerPod) * hostSpacing;
+        positions.set(node.id, new THREE.Vector3(x, bandY('host'), 0));
+    });
+    ['aggregation', 'edge'].forEach(tier => {
+        const switches = tiers.get(tier);
+        const perPod = switches.length / pods;
+        const slotWidth = (hostsPerPod * hostSpacing) / perPod;
+        switches.forEach(node => {
+            const x = podStart(node.pod) + (node.index + 0.5) * slotWidth - hostSpacing / 2;
+            positions.set(node.id, new THREE.Vector3(x, bandY(tier), 0));
+        });
+    });
+    const cores = tiers.get('core');
+    const coreSpacing = cores.length > 1 ? totalWidth / (cores.length - 1) : 0;
+    cores.forEach(node => {
+        const x = cores.length > 1 ? node.index * coreSpacing - totalWidth / 2 : 0;
+        positions.set(node.id, new THREE.Vector3(x, bandY('core'), 0));
+    });
+
+    return { positions: positions, camera: frontCamera(Math.max(totalWidth * 0.6, FAT_TREE_TIERS.length * bandSpacing * 1.2)) };
+}
+
+// One axis per dimension of a k-ary n-cube, nested blocks beyond 3D
+function layoutLattice(graph) {
+    const positions = new Map();
     const n = graph.nodes.length;
-    const nodeIdToData = new Map();
-    graph.nodes.forEach(node => nodeIdToData.set(node.id, node));
+    const sizes = graph.nodes[0].coords.map((_, i) => Math.max(...graph.nodes.map(node => node.coords[i])) + 1);
+    const spacing = NODE_RADIUS * 4;
+    const dims = sizes.length;
+
+    if (dims === 1 && graph.edges.some(edge => edge.wrap)) {
+        // A wrapped 1-cube is a ring
+        const layoutRadius = Math.max(5, n * 0.8);
+        graph.nodes.forEach(node => {
+            const angle = (node.coords[0] / sizes[0]) * Math.PI * 2;
+            positions.set(node.id, new THREE.Vector3(layoutRadius * Math.cos(angle), layoutRadius * Math.sin(angle), 0));
+        });
+        return { positions: positions, camera: frontCamera(layoutRadius * 2.5) };
+    }
 
-    // --- 1. Calculate Layout Positions ---
-    let rows = 1, cols = n; // Initialize dimensions for mesh/torus/grid fallback
-    let camDist = 30; // Default camera distance
-    const baseScale = 5; // Base scale factor for layouts
-
-    if (n > 0) {
-        // Determine grid dimensions reliably
-        if ((type === 'mesh' || type === 'torus') && graph.nodes[0]?.hasOwnProperty('row') && graph.nodes[0]?.hasOwnProperty('col')) {
-            rows = Math.max(...graph.nodes.map(n => n.row ?? 0)) + 1;
-            cols = Math.max(...graph.nodes.map(n => n.col ?? 0)) + 1;
-        } else if (type === 'mesh' || type === 'torus') {
-            cols = Math.ceil(Math.sqrt(n)); rows = Math.ceil(n / cols);
-        }
-
-        // --- Apply Layout based on Type and Choice ---
-        if (type === 'ring') {
-            // --- Ring Layout --- (Unchanged)
-            const layoutRadius = n > 1 ? Math.max(5, n * 0.8) : 0;
-            graph.nodes.forEach((node, i) => { const angle = (i / n) * Math.PI * 2; const x = layoutRadius * Math.cos(angle); const y = layoutRadius * Math.sin(angle); nodePositions.set(node.id, new THREE.Vector3(x, y, 0)); });
-            const camDist = layoutRadius * 2.5; camera.position.set(0, 0, camDist < 30 ? 30 : camDist);
-
-        } else if (type === 'mesh') {
-            // --- Mesh Grid Layout --- (Unchanged)
-            const gridSpacing = 3 * NODE_RADIUS; const totalWidth = (cols - 1) * gridSpacing; const totalHeight = (rows - 1) * gridSpacing;
-            graph.nodes.forEach(node => { const r = node.row ?? Math.floor(node.id / cols); const c = node.col ?? (node.id % cols); const x = (c * gridSpacing) - totalWidth / 2; const y = (-r * gridSpacing) + totalHeight / 2; nodePositions.set(node.id, new THREE.Vector3(x, y, 0)); });
-            const camDist = Math.max(totalWidth, totalHeight, 20) * 1.5; camera.position.set(0, 0, camDist < 30 ? 30 : camDist);
-
-        } else if (type === 'torus') {
-            // --- Conditional Torus Layout ---
-            if (use3DLayout) {
-                // --- 3D Geometric Torus Layout --- (Unchanged)
-                const nodeSpacingFactor = NODE_RADIUS * 3.5; const minorCircumference = rows * nodeSpacingFactor; const minorRadius = Math.max(NODE_RADIUS * 1.5, minorCircumference / (2 * Math.PI)); const majorCircumference = cols * nodeSpacingFactor; const majorRadius = Math.max(minorRadius * 2.0, majorCircumference / (2 * Math.PI));
-                graph.nodes.forEach(node => { const r = node.row ?? 0; const c = node.col ?? 0; const majorAngle = (c / cols) * Math.PI * 2; const minorAngle = (r / rows) * Math.PI * 2; const x = (majorRadius + minorRadius * Math.cos(minorAngle)) * Math.cos(majorAngle); const y = (majorRadius + minorRadius * Math.cos(minorAngle)) * Math.sin(majorAngle); const z = minorRadius * Math.sin(minorAngle); nodePositions.set(node.id, new THREE.Vector3(x, y, z)); });
-                const viewDistance = (majorRadius + minorRadius) * 2.2; camera.position.set(0, minorRadius * 0.5, viewDistance < 30 ? 30 : viewDistance);
-            } else {
-                // --- 2D Grid Layout (for Torus) --- (Unchanged layout logic)
-                const gridSpacing = 3 * NODE_RADIUS; const totalWidth = (cols - 1) * gridSpacing; const totalHeight = (rows - 1) * gridSpacing;
-                graph.nodes.forEach(node => { const r = node.row ?? Math.floor(node.id / cols); const c = node.col ?? (node.id % cols); const x = (c * gridSpacing) - totalWidth / 2; const y = (-r * gridSpacing) + totalHeight / 2; nodePositions.set(node.id, new THREE.Vector3(x, y, 0)); });
-                const camDist = Math.max(totalWidth, totalHeight, 20) * 1.5; camera.position.set(0, 0, camDist < 30 ? 30 : camDist);
-            }
-        } else if (type === 'hypercube') { // **** ADD HYPERCUBE LAYOUT ****
-            const d = params.dimension || 0; // Get dimension from params
-            let scale = baseScale; // Adjust scale based on dimension
-
-            if (d === 0) { // Single node
-                nodePositions.set(0, new THREE.Vector3(0, 0, 0));
-                scale = 1;
-            } else if (d === 1) { // Line
-                scale = baseScale * 0.5;
-                nodePositions.set(0, new THREE.Vector3(-scale, 0, 0)); // Binary '0'
-                nodePositions.set(1, new THREE.Vector3(scale, 0, 0)); // Binary '1'
-            } else if (d === 2) { // Square
-                scale = baseScale * 0.8;
-                graph.nodes.forEach(node => {
-                    const bits = node.binary; // e.g., "01"
-                    const x = (bits[0] === '0' ? -scale : scale); // Bit 0 -> X
-                    const y = (bits[1] === '0' ? -scale : scale); // Bit 1 -> Y
-                    nodePositions.set(node.id, new THREE.Vector3(x, y, 0));
-                });
-            } else if (d === 3) { // Cube
-                scale = baseScale * 1.0;
-                graph.nodes.forEach(node => {
-                    const bits = node.binary; // e.g., "011"
-                    const x = (bits[0] === '0' ? -scale : scale); // Bit 0 -> X
-                    const y = (bits[1] === '0' ? -scale : scale); // Bit 1 -> Y
-                    const z = (bits[2] === '0' ? -scale : scale); // Bit 2 -> Z
-                    nodePositions.set(node.id, new THREE.Vector3(x, y, z));
-                });
-            } else if (d === 4) { // Tesseract (two cubes)
-                scale = baseScale * 1.2;
-                const scaleInner = 0.6; // Scale factor for the 'inner' cube
-                graph.nodes.forEach(node => {
-                    const bits = node.binary; // e.g., "1010"
-                    const wBit = bits[0]; // Use first bit for W (inner/outer)
-                    const xBit = bits[1]; // Bit 1 -> X
-                    const yBit = bits[2]; // Bit 2 -> Y
-                    const zBit = bits[3]; // Bit 3 -> Z
-
-                    let currentScale = (wBit === '0' ? scale * scaleInner : scale);
-                    const x = (xBit === '0' ? -currentScale : currentScale);
-                    const y = (yBit === '0' ? -currentScale : currentScale);
-                    const z = (zBit === '0' ? -currentScale : currentScale);
-                    nodePositions.set(node.id, new THREE.Vector3(x, y, z));
-                });
-            } else { // Fallback for d > 4: Circular Layout
-                console.warn(`Hypercube dimension ${d} > 4. Using fallback circular layout.`);
-                const layoutRadius = n > 1 ? Math.max(5, n * 0.5) : 0; // Adjust radius calc
-                graph.nodes.forEach((node, i) => {
-                    const angle = (i / n) * Math.PI * 2;
-                    const x = layoutRadius * Math.cos(angle);
-                    const y = layoutRadius * Math.sin(angle);
-                    nodePositions.set(node.id, new THREE.Vector3(x, y, 0));
-                });
-                scale = layoutRadius; // Base camera distance on radius
-            }
-            // Adjust camera distance for hypercube based on overall scale
-            camDist = scale * 3.5;
+    // Dimension i runs along axis i % 3 (x, y, z). When an axis is reused, the new
+    // dimension steps over whole blocks of the earlier ones, with a gap between blocks.
+    const axisExtent = [0, 0, 0];
+    const dimStep = sizes.map((k, i) => {
+        const axis = i % 3;
+        const step = axisExtent[axis] === 0 ? spacing : axisExtent[axis] + spacing * 2;
+        axisExtent[axis] += step * (k - 1);
+        return step;
+    });
+    const axisDirection = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, -1, 0), new THREE.Vector3(0, 0, 1)];
+    const center = new THREE.Vector3(axisExtent[0] / 2, -axisExtent[1] / 2, axisExtent[2] / 2);
+    graph.nodes.forEach(node => {
+        const position = new THREE.Vector3();
+        node.coords.forEach((c, i) => position.addScaledVector(axisDirection[i % 3], c * dimStep[i]));
+        positions.set(node.id, position.sub(center));
+    });
+    const camDist = Math.max(...axisExtent, 20) * 1.5;
+    // Look at 3D lattices from an angle so the depth axis is visible
+    return { positions: positions, camera: dims >= 3 ? new THREE.Vector3(camDist * 0.5, camDist * 0.35, camDist) : frontCamera(camDist) };
+}
 
-        }  // Add layout logic for other topologies here
-    } // End if (n > 0) for layout
+// The imported file's x/y(/z) positions if every node has them, else a circle
+function layoutFromFile(graph) {
+    const hasPositions = graph.nodes.every(node => typeof node.x === 'number' && typeof node.y === 'number');
+    if (!hasPositions) return layoutCircle(graph);
+    // y grows upwards, as in Graphviz "pos" and in this tool's own exports
+    const { positions, size } = fitPositions(graph, graph.nodes.map(node => [node.x, node.y, typeof node.z === 'number' ? node.z : 0]));
+    return { positions: positions, camera: frontCamera(size * 1.5) };
+}
 
-    // --- Reset Helper Maps ---
-    nodeMeshMap.clear();
-    edgeMeshMap.clear();
+// Dragonfly groups as clusters on a large circle, routers on a small circle per group and
+// terminals fanned out around their router
+function layoutDragonfly(graph) {
+    const positions = new Map();
+    const routers = graph.nodes.filter(node => node.role === 'router');
+    const groups = Math.max(...routers.map(node => node.group)) + 1;
+    const routersPerGroup = routers.length / groups;
+    const groupRadius = Math.max(NODE_RADIUS * 2.5, routersPerGroup * NODE_RADIUS * 0.9);
+    const terminalOffset = NODE_RADIUS * 3; // Terminals sit outside their router
+    const clusterRadius = groupRadius + terminalOffset + NODE_RADIUS;
+    const layoutRadius = Math.max(10, (groups * clusterRadius * 2.4) / (2 * Math.PI));
+
+    const groupCenter = group => {
+        const angle = (group / groups) * Math.PI * 2;
+        return new THREE.Vector3(layoutRadius * Math.cos(angle), layoutRadius * Math.sin(angle), 0);
+    };
+    // Rotate each cluster so router 0 faces the center of the big circle
+    const routerAngle = (group, router) => (group / groups) * Math.PI * 2 + Math.PI + (router / routersPerGroup) * Math.PI * 2;
 
-    // --- 2. Create Node Meshes ---
     graph.nodes.forEach(node => {
-        try { // Add try-catch for detailed error within loop
-            const geometry = new THREE.SphereGeometry(NODE_RADIUS, NODE_SEGMENTS, NODE_SEGMENTS);
-            const mesh = new THREE.Mesh(geometry, NODE_MATERIAL);
-            const nodePos = nodePositions.get(node.id);
-            if (nodePos) {
-                mesh.position.copy(nodePos);
-            } else {
-                console.warn(`Position not found for node ${node.id} during mesh creation.`);
-                mesh.position.set(0, 0, 0);
-            }
+        const center = groupCenter(node.group);
+        let angle = routerAngle(node.group, node.router);
+        let radius = groupRadius;
+        if (node.role === 'terminal') {
+            const terminals = graph.nodes.length / routers.length - 1;
+            const spread = (Math.PI * 2 / routersPerGroup) * 0.6; // Fan terminals around the router direction
+            angle += terminals > 1 ? (node.index / (terminals - 1) - 0.5) * spread : 0;
+            radius = groupRadius + terminalOffset;
+        }
+        positions.set(node.id, new THREE.Vector3(center.x + radius * Math.cos(angle), center.y + radius * Math.sin(angle), 0));
+    });
+
+    return { positions: positions, camera: frontCamera((layoutRadius + clusterRadius) * 2.2) };
+}
 
-            mesh.userData = { nodeId: node.id };
-            nodeMeshMap.set(node.id, mesh);
+// Draw graphData again with the layout chosen in the Layout section (metrics, failures and the
+// traffic heatmap are kept; nodes dragged by hand go back to the new layout)
+function redrawGraph() {
+    if (graphData.nodes.length === 0 || graphData.nodes.length > RENDER_MAX_NODES) return;
+    manualPositions.clear();
+    const { params, use3DLayout } = currentTopology;
+    visualizeGraph(graphData, getStructureType(), use3DLayout, params);
+    refreshBaseMaterials();
+    updateURLState(false);
+}
 
-            scene.add(mesh);
-            nodeMeshes.push(mesh);
-        } catch (error) {
-            console.error(`Error creating node ${node.id}:`, error); // DEBUG
+function visualizeGraph(graph, type, use3DLayout = false, params = {}) {
+    clearVisualization();
+    const n = graph.nodes.length;
+    const nodeIdToData = new Map();
+    graph.nodes.forEach(node => nodeIdToData.set(node.id, node));
+
+    // --- 1. Calculate Layout Positions --- (the Layout dropdown, else the topology's own layout).
+    // Nodes placed by hand keep their place; when all of them are (as after a graph edit) the layout
+    // isn't run at all and the view stays where it is.
+    const layoutName = layoutSelect.value === 'default' ? getDefaultLayout(type, use3DLayout) : layoutSelect.value;
+    const keepView = n > 0 && graph.nodes.every(node => manualPositions.has(node.id));
+    const nodePositions = new Map();
+    if (!keepView) {
+        const layout = LAYOUTS[layoutName](graph, {
+            type: type,
+            params: params,
+            use3DLayout: use3DLayout,
+            dimensions: layout3DCheckbox.checked ? 3 : 2,
+            projection: hypercubeProjectionSelect.value
+        });
+        layout.positions.forEach((position, nodeId) => nodePositions.set(nodeId, position));
+        camera.position.copy(layout.camera);
+    }
+    manualPositions.forEach((position, nodeId) => {
+        if (nodeIdToData.has(nodeId)) nodePositions.set(nodeId, position.clone());
+    });
+    const { rows, cols } = type === 'torus' ? getGridSize(graph) : { rows: 1, cols: n }; // For wrap edges
+
+    // --- 2. Create Node Instances --- (one InstancedMesh; instance i is graph.nodes[i])
+    const segments = n > NODE_DETAIL_MAX_NODES ? NODE_SEGMENTS_COARSE : NODE_SEGMENTS;
+    const nodeGeometry = new THREE.SphereGeometry(NODE_RADIUS, segments, segments);
+    nodeGeometry.setAttribute('instanceEmissive', new THREE.InstancedBufferAttribute(new Float32Array(n * 3), 3));
+    nodeInstances = new THREE.InstancedMesh(nodeGeometry, NODE_INSTANCE_MATERIAL, n);
+    nodeInstances.frustumCulled = false; // Its bounding sphere is that of one node at the origin
+    nodeInstances.userData = { nodeIds: graph.nodes.map(node => node.id) };
+    const instanceMatrix = new THREE.Matrix4();
+    graph.nodes.forEach((node, i) => {
+        let nodePos = nodePositions.get(node.id);
+        if (!nodePos) {
+            console.warn(`Position not found for node ${node.id} during mesh creation.`);
+            nodePos = new THREE.Vector3(0, 0, 0);
         }
+        const mesh = { index: i, position: nodePos.clone(), material: NODE_MATERIAL, userData: { nodeId: node.id, baseMaterial: NODE_MATERIAL } };
+        nodeInstances.setMatrixAt(i, instanceMatrix.makeTranslation(nodePos.x, nodePos.y, nodePos.z));
+        colorNodeInstance(nodeInstances, mesh, NODE_MATERIAL);
+        nodeMeshMap.set(node.id, mesh);
     });
+    scene.add(nodeInstances);
 
-    // Adjust camera Z position, ensuring minimum distance
-    camera.position.z = Math.max(30, camDist); // Use calculated camDist
+    // --- Chord Colors (Circulant) ---
+    // Distinct chord offsets in ascending order; the ±1 ring keeps the default edge color
+    const chordOffsets = [...new Set(graph.edges.map(edge => edge.offset).filter(offset => offset > 1))].sort((a, b) => a - b);
+    const chordMaterial = offset => CHORD_MATERIALS[chordOffsets.indexOf(offset) % CHORD_MATERIALS.length];
+    updateChordLegend(chordOffsets, graph.edges.some(edge => edge.offset === 1));
 
-    // --- 3. Create Edge Meshes (Conditional Lines / Curves) ---
+    // --- 3. Create Edge Segments (Conditional Lines / Curves, merged into one LineSegments) ---
+    const segmentPositions = [];
+    const segmentEdges = []; // Drawn edge of each segment, for picking
     graph.edges.forEach(edge => {
         const pos1 = nodePositions.get(edge.source);
         const pos2 = nodePositions.get(edge.target);
@@ -1335,21 +6534,28 @@ function visualizeGraph(graph, type, use3DLayout = false, params = {}) {
             let isWrapEdge = false;
             let isHorizontalWrap = false;
             let isVerticalWrap = false;
-            let geometry;
-            let lineMaterial = EDGE_MATERIAL;
+            let linePoints;
+            let lineMaterial = edge.global ? GLOBAL_EDGE_MATERIAL : EDGE_MATERIAL; // Dragonfly inter-group links
+            if (edge.offset > 1) {
+                lineMaterial = chordMaterial(edge.offset); // Circulant chords, colored by length
+            }
+            if (edge.added) {
+                lineMaterial = ADDED_EDGE_MATERIAL; // Links added in the graph editor
+            }
 
-            // Determine wrap type
+            // Determine wrap type (links added in the editor may span any two cells, so a wrap link
+            // must also stay in its row or column)
             if (type === 'torus' && node1.hasOwnProperty('row') && node1.hasOwnProperty('col')) {
-                if (cols > 1 && Math.abs(node1.col - node2.col) === cols - 1) {
+                if (cols > 1 && node1.row === node2.row && Math.abs(node1.col - node2.col) === cols - 1) {
                     isWrapEdge = true; isHorizontalWrap = true;
                 }
-                if (rows > 1 && Math.abs(node1.row - node2.row) === rows - 1) {
+                if (rows > 1 && node1.col === node2.col && Math.abs(node1.row - node2.row) === rows - 1) {
                     isWrapEdge = true; isVerticalWrap = true;
                     if (isHorizontalWrap) isHorizontalWrap = false; // Prioritize vertical if both? Adjust as needed.
                 }
             }
 
-            if (isWrapEdge && type === 'torus' && !use3DLayout) {
+            if (isWrapEdge && type === 'torus' && layoutName === 'grid') {
                 lineMaterial = WRAP_EDGE_MATERIAL;
                 const points = [];
                 // --- Define Shape Parameters ---
@@ -1468,36 +6674,58 @@ function visualizeGraph(graph, type, use3DLayout = false, params = {}) {
                     }
                 }
 
-                // Create geometry from the generated points
+                // Use the generated points as the line
                 if (points.length > 1) {
-                    geometry = new THREE.BufferGeometry().setFromPoints(points);
+                    linePoints = points;
                 } else {
                     // Fallback to straight line if arc generation failed
                     console.warn("Failed to generate sufficient points for rounded rect arc. Drawing straight line.");
-                    geometry = new THREE.BufferGeometry().setFromPoints([pos1, pos2]);
+                    linePoints = [pos1.clone(), pos2.clone()];
                 }
 
+            } else if (type === 'ncube' && edge.wrap && layoutName === 'lattice') {
+                // Wrap links of a lattice would run straight through the nodes in between,
+                // so bow them out sideways with a quadratic curve
+                lineMaterial = WRAP_EDGE_MATERIAL;
+                const direction = new THREE.Vector3().subVectors(pos2, pos1);
+                const length = direction.length();
+                const side = Math.abs(direction.x) > Math.abs(direction.y)
+                    ? new THREE.Vector3(0, 1, 0.3)  // Along x: bow upwards
+                    : new THREE.Vector3(1, 0, 0.3); // Along y or z: bow sideways
+                const control = new THREE.Vector3().addVectors(pos1, pos2).multiplyScalar(0.5)
+                    .addScaledVector(side.normalize(), Math.max(NODE_RADIUS * 2, length * 0.15));
+                const curve = new THREE.QuadraticBezierCurve3(pos1, control, pos2);
+                linePoints = curve.getPoints(24);
             } else {
-                // **** Draw Straight Line **** (Non-wrap, Mesh, Ring, 3D Torus)
-                geometry = new THREE.BufferGeometry().setFromPoints([pos1, pos2]);
-                if (isWrapEdge && type === 'torus' && use3DLayout) {
+                // **** Draw Straight Line **** (Non-wrap, Mesh, Ring, 3D Torus, generic layouts)
+                linePoints = [pos1.clone(), pos2.clone()];
+                if (isWrapEdge || (type === 'ncube' && edge.wrap)) {
                     lineMaterial = WRAP_EDGE_MATERIAL;
                 }
             }
 
-            // Create the line object
-            if (geometry) {
-                // Ensure we use a unique material instance per line if changing color directly
-                const currentLineMaterial = lineMaterial.clone(); // Clone to avoid changing shared materials
-
-                const line = new THREE.Line(geometry, currentLineMaterial);
-
-                line.userData = { source: edge.source, target: edge.target };
-                const edgeKey = `${Math.min(edge.source, edge.target)}-${Math.max(edge.source, edge.target)}`;
-                edgeMeshMap.set(edgeKey, line); // Store line reference
-
-                scene.add(line);
-                edgeMeshes.push(line);
+            // Append the line's segments (one per pair of consecutive points)
+            if (linePoints) {
+                const line = {
+                    firstVertex: segmentPositions.length / 3,
+                    vertexCount: (linePoints.length - 1) * 2,
+                    points: linePoints,
+                    shape: describeEdgeShape(linePoints, pos1, pos2),
+                    material: lineMaterial,
+                    userData: {
+                        source: edge.source,
+                        target: edge.target,
+                        layoutMaterial: lineMaterial,
+                        baseMaterial: lineMaterial
+                    }
+                };
+                for (let i = 1; i < linePoints.length; i++) {
+                    const a = linePoints[i - 1];
+                    const b = linePoints[i];
+                    segmentPositions.push(a.x, a.y, a.z, b.x, b.y, b.z);
+                    segmentEdges.push(line);
+                }
+                edgeMeshMap.set(getEdgeKey(edge.source, edge.target), line); // Store line reference
             } else {
                 console.warn(`Failed to create geometry for edge: ${edge.source} -> ${edge.target}`);
             }
@@ -1507,20 +6735,51 @@ function visualizeGraph(graph, type, use3DLayout = false, params = {}) {
         }
     }); // End of graph.edges.forEach
 
+    const edgeGeometry = new THREE.BufferGeometry();
+    edgeGeometry.setAttribute('position', new THREE.Float32BufferAttribute(segmentPositions, 3));
+    edgeGeometry.setAttribute('color', new THREE.Float32BufferAttribute(new Float32Array(segmentPositions.length), 3));
+    edgeSegments = new THREE.LineSegments(edgeGeometry, EDGE_SEGMENT_MATERIAL);
+    edgeSegments.userData = { segmentEdges: segmentEdges };
+    edgeMeshMap.forEach(line => colorEdgeSegments(edgeSegments, line, line.material));
+    scene.add(edgeSegments);
+
     // --- Final Adjustments ---
-    controls.target.set(0, 0, 0); // Reset target
-    if (type === 'torus' && use3DLayout) {
-        camera.lookAt(0, 0, 0); // Point camera towards the center for 3D view
-    } else if (type === 'hypercube' && params.dimension && params.dimension > 1) {
-        camera.lookAt(0, 0, 0); // Look at center for hypercubes too
+    if (!keepView) {
+        controls.target.set(0, 0, 0); // Reset target
+        camera.lookAt(0, 0, 0); // Layout cameras point at the center (3D layouts view it from an angle)
     }
+    camera.far = Math.max(1000, camera.position.length() * 4); // Large rings sit far from the camera
+    camera.updateProjectionMatrix();
     controls.update();
 }
 
+// Show which color belongs to which circulant offset (no-op for other topologies)
+function updateChordLegend(chordOffsets, hasRing) {
+    const legend = document.getElementById('chordLegend');
+    if (!legend) return;
+    legend.innerHTML = '';
+    const entries = chordOffsets.map((offset, i) => ({ offset: offset, color: CHORD_COLORS[i % CHORD_COLORS.length] }));
+    if (hasRing) entries.unshift({ offset: 1, color: EDGE_COLOR });
+    entries.forEach(({ offset, color: hexColor }) => {
+        const color = hexColor.toString(16).padStart(6, '0');
+        const item = document.createElement('span');
+        item.style.marginRight = '10px';
+        item.innerHTML = `<span style="color: #${color}">&#9644;</span> ±${offset}`;
+        legend.appendChild(item);
+    });
+}
+
 // --- Animation Loop ---
 function animate() {
     requestAnimationFrame(animate);
+    if (comparisonMode) {
+        renderComparison();
+        return;
+    }
     controls.update(); // Only needed if enableDamping or autoRotate are set
+    updateForceLayout();
+    updateHypercubeRotation(performance.now());
+    updateSimulationAnimation(performance.now());
 
     // Use EffectComposer for rendering with bloom effect
     composer.render();
@@ -1534,6 +6793,7 @@ function onWindowResize() {
 
     // Also update composer size when window resizes
     composer.setSize(container.clientWidth, container.clientHeight);
+    updateComparisonLabels();
 }
 
 // --- Start Application ---